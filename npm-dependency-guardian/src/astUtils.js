@@ -4,33 +4,48 @@ const acorn = require('acorn');
  * "Enum" for the different types of AST nodes available in acorn that are used in this module
  */
 const NodeTypes = {
+  ArrayExpression: 'ArrayExpression',
   ArrayPattern: 'ArrayPattern',
   ArrowFunctionExpression: 'ArrowFunctionExpression',
   AssignmentExpression: 'AssignmentExpression',
   AssignmentPattern: 'AssignmentPattern',
+  BinaryExpression: 'BinaryExpression',
   BlockStatement: 'BlockStatement',
   CallExpression: 'CallExpression',
+  CatchClause: 'CatchClause',
+  ClassBody: 'ClassBody',
+  ClassDeclaration: 'ClassDeclaration',
+  ConditionalExpression: 'ConditionalExpression',
   ExportAllDeclaration: 'ExportAllDeclaration',
   ExportNamedDeclaration: 'ExportNamedDeclaration',
   ExportSpecifier: 'ExportSpecifier',
+  ForInStatement: 'ForInStatement',
+  ForOfStatement: 'ForOfStatement',
   Function: 'Function',
   FunctionDeclaration: 'FunctionDeclaration',
   FunctionExpression: 'FunctionExpression',
   Identifier: 'Identifier',
+  IfStatement: 'IfStatement',
   ImportDeclaration: 'ImportDeclaration',
   ImportDefaultSpecifier: 'ImportDefaultSpecifier',
   ImportExpression: 'ImportExpression',
   ImportNamespaceSpecifier: 'ImportNamespaceSpecifier',
   ImportSpecifier: 'ImportSpecifier',
   Literal: 'Literal',
+  LogicalExpression: 'LogicalExpression',
   MemberExpression: 'MemberExpression',
   MethodDefinition: 'MethodDefinition',
   NewExpression: 'NewExpression',
+  ObjectExpression: 'ObjectExpression',
   ObjectPattern: 'ObjectPattern',
   Program: 'Program',
   Property: 'Property',
   RestElement: 'RestElement',
+  ReturnStatement: 'ReturnStatement',
   SequenceExpression: 'SequenceExpression',
+  SpreadElement: 'SpreadElement',
+  TemplateLiteral: 'TemplateLiteral',
+  ThisExpression: 'ThisExpression',
   UpdateExpression: 'UpdateExpression',
   UnaryExpression: 'UnaryExpression',
   VariableDeclaration: 'VariableDeclaration',
@@ -145,7 +160,7 @@ class Environment {
 class MemberAccess {
   /**
    * @param {String} module     The module whose member is accessed
-   * @param {String} memberName The name of the member that is accessed
+   * @param {String} memberName The name of the member that is accessed, or the path of nested members, e.g. `promises.readFile`
    */
   constructor(module, memberName) {
     this.module = module;
@@ -153,15 +168,14 @@ class MemberAccess {
   }
 
   /**
-   * Create a MemberAccess instance from a string in the form "module.property"
+   * Create a MemberAccess instance from a string in the form "module.property", where the property
+   * may be a path of nested members. Names of built-in modules contain no `.`.
    * @param   {String}       accessString The string that the member access is created from
    * @returns {MemberAccess}              The resulting MemberAccess instance
    */
   static fromString(accessString) {
-    const splits = accessString.split('.');
-    const mod = splits.splice(0, splits.length - 1).join('.');
-    const member = splits[splits.length - 1];
-    return new MemberAccess(mod, member);
+    const [mod, ...members] = accessString.split('.');
+    return new MemberAccess(mod, members.join('.'));
   }
 
   /**
@@ -400,6 +414,7 @@ function buildTree(content, locations = false) {
 }
 
 
+
 module.exports = {
   buildTree: buildTree,
   identifiersFromNode: identifiersFromNode,
@@ -0,0 +1,240 @@
+"use strict";
+
+const { UNRESOLVED_REQUIRE } = require('./dynamicCode.js');
+const { capabilityPrefixes } = require('./memberPaths.js');
+
+/**
+ * The capability categories, with the severity of newly detected capabilities of the category and the
+ * weight of the category in the risk score of a package
+ */
+const CATEGORIES = {
+  processExecution: { severity: 'critical', weight: 40 },
+  dynamicCode: { severity: 'critical', weight: 40 },
+  network: { severity: 'critical', weight: 30 },
+  filesystem: { severity: 'critical', weight: 25 },
+  moduleSystem: { severity: 'high', weight: 20 },
+  environment: { severity: 'high', weight: 15 },
+  crypto: { severity: 'medium', weight: 5 },
+  unclassified: { severity: 'medium', weight: 5 },
+  timing: { severity: 'low', weight: 2 },
+  harmless: { severity: 'low', weight: 0 }
+};
+
+/**
+ * The sections of a policy entry and the kinds of the capabilities they contain, by policy granularity
+ */
+const CAPABILITY_KINDS = {
+  coarse: { modules: 'module', globals: 'global', dynamicCode: 'dynamicCode', environment: 'environmentVariable' },
+  fine: { modules: 'moduleMember', globals: 'globalMember' }
+};
+
+// The maximum risk score of a package
+const MAX_RISK_SCORE = 100;
+
+// Categories of built-in modules. Modules that are not listed are unclassified.
+const MODULE_CATEGORIES = {
+  'child_process': 'processExecution',
+  'cluster': 'processExecution',
+  'process': 'processExecution',
+  'worker_threads': 'processExecution',
+  'inspector': 'dynamicCode',
+  'repl': 'dynamicCode',
+  'v8': 'dynamicCode',
+  'vm': 'dynamicCode',
+  'wasi': 'dynamicCode',
+  'dgram': 'network',
+  'dns': 'network',
+  'http': 'network',
+  'http2': 'network',
+  'https': 'network',
+  'net': 'network',
+  'tls': 'network',
+  'fs': 'filesystem',
+  'module': 'moduleSystem',
+  [UNRESOLVED_REQUIRE]: 'moduleSystem',
+  'os': 'environment',
+  'crypto': 'crypto',
+  'perf_hooks': 'timing',
+  'timers': 'timing',
+  'assert': 'harmless',
+  'async_hooks': 'harmless',
+  'buffer': 'harmless',
+  'console': 'harmless',
+  'constants': 'harmless',
+  'diagnostics_channel': 'harmless',
+  'events': 'harmless',
+  'path': 'harmless',
+  'punycode': 'harmless',
+  'querystring': 'harmless',
+  'readline': 'harmless',
+  'stream': 'harmless',
+  'string_decoder': 'harmless',
+  'tty': 'harmless',
+  'url': 'harmless',
+  'util': 'harmless',
+  'zlib': 'harmless'
+};
+
+// Categories of global objects. Globals that are not listed are harmless.
+const GLOBAL_CATEGORIES = {
+  'process': 'processExecution',
+  'Function': 'dynamicCode',
+  'WebAssembly': 'dynamicCode',
+  'eval': 'dynamicCode',
+  'WebSocket': 'network',
+  'fetch': 'network',
+  'global': 'moduleSystem',
+  'globalThis': 'moduleSystem',
+  'import': 'moduleSystem',
+  'crypto': 'crypto',
+  'clearImmediate': 'timing',
+  'clearInterval': 'timing',
+  'clearTimeout': 'timing',
+  'performance': 'timing',
+  'queueMicrotask': 'timing',
+  'setImmediate': 'timing',
+  'setInterval': 'timing',
+  'setTimeout': 'timing'
+};
+
+// Categories of members that differ from the category of their module or global object
+const MEMBER_CATEGORIES = {
+  'process.arch': 'environment',
+  'process.argv': 'environment',
+  'process.cwd': 'environment',
+  'process.env': 'environment',
+  'process.pid': 'environment',
+  'process.platform': 'environment',
+  'process.version': 'environment',
+  'process.versions': 'environment',
+  'process.hrtime': 'timing',
+  'process.nextTick': 'timing',
+  'process.uptime': 'timing',
+  'process.mainModule': 'moduleSystem',
+  'module.constructor': 'moduleSystem',
+  'module.require': 'moduleSystem',
+  'require.cache': 'moduleSystem',
+  'require.extensions': 'moduleSystem',
+  'require.main': 'moduleSystem',
+  'module.exports': 'harmless',
+  'os.EOL': 'harmless',
+  'util.promisify': 'harmless'
+};
+
+/**
+ * Extend or change the built-in classification, e.g. with the contents of a `--categories` file
+ * @param {Object} extension Object that may contain `categories` (mapping new category names to their `severity` and `weight`) and `modules`, `globals` and `members` (mapping capabilities to category names)
+ */
+function extendClassification(extension) {
+  Object.assign(CATEGORIES, extension.categories || {});
+  const tables = [[MODULE_CATEGORIES, extension.modules], [GLOBAL_CATEGORIES, extension.globals], [MEMBER_CATEGORIES, extension.members]];
+  for (const [table, additions] of tables) {
+    for (const [capability, category] of Object.entries(additions || {})) {
+      if (CATEGORIES[category] === undefined) {
+        throw Error(`Unknown category ${category} for ${capability}.`);
+      }
+      table[capability] = category;
+    }
+  }
+}
+
+/**
+ * Get the category of a built-in module, taking sub-modules like `fs/promises` into account
+ * @param   {String} module The name of the module
+ * @returns {String}        The category
+ */
+function moduleCategory(module) {
+  return MODULE_CATEGORIES[module] || MODULE_CATEGORIES[module.split('/')[0]] || 'unclassified';
+}
+
+/**
+ * Get the category of a member from MEMBER_CATEGORIES. Nested members without a category of their
+ * own are classified like the member they are part of, e.g. `process.env.HOME` like `process.env`.
+ * @param   {String}  capability The member, e.g. `process.env.HOME`
+ * @returns {String?}            The category, or null if neither the member nor the members it is part of have one
+ */
+function memberCategory(capability) {
+  const prefix = capabilityPrefixes(capability).find((prefix) => MEMBER_CATEGORIES[prefix] !== undefined);
+  return prefix === undefined ? null : MEMBER_CATEGORIES[prefix];
+}
+
+/**
+ * Get the category of a capability. Members are classified by their own category if they have one
+ * (see `memberCategory`), else by the category of their module or global object.
+ * Dynamic code execution always belongs to the `dynamicCode` category, environment variables to the
+ * `environment` category.
+ * @param   {String} kind       The kind of the capability: `module`, `global`, `moduleMember`, `globalMember`, `dynamicCode` or `environmentVariable`
+ * @param   {String} capability The capability, e.g. `child_process` or `process.env`
+ * @returns {String}            The category, one of the keys of CATEGORIES
+ */
+function capabilityCategory(kind, capability) {
+  switch (kind) {
+    case 'dynamicCode':
+      return 'dynamicCode';
+    case 'environmentVariable':
+      return 'environment';
+    case 'module':
+      return moduleCategory(capability);
+    case 'global':
+      return GLOBAL_CATEGORIES[capability] || 'harmless';
+    case 'moduleMember':
+      return memberCategory(capability) || moduleCategory(capability.split('.')[0]);
+    case 'globalMember':
+      return memberCategory(capability) || GLOBAL_CATEGORIES[capability.split('.')[0]] || 'harmless';
+  }
+  throw Error(`Unknown capability kind ${kind}`);
+}
+
+/**
+ * Get the names of all categories, including those added with `extendClassification`
+ * @returns {String[]} The names of the categories
+ */
+function categoryNames() {
+  return Object.keys(CATEGORIES);
+}
+
+/**
+ * Get the properties of a category
+ * @param   {String} category The name of the category
+ * @returns {Object}          The `severity` and `weight` of the category
+ */
+function categoryInfo(category) {
+  return CATEGORIES[category];
+}
+
+/**
+ * Get the risk score of each package in a policy: the sum of the weights of the categories of its
+ * capabilities, where every category counts once, up to MAX_RISK_SCORE
+ * @param   {Object} policy The complete policy
+ * @returns {Object}        Object mapping package keys to their `score` and the `categories` of their capabilities
+ */
+function riskScores(policy) {
+  const categoriesByPackage = {};
+  for (const [granularity, granularPolicy] of [['coarse', policy.policyCoarse], ['fine', policy.policyFine]]) {
+    for (const [key, entry] of Object.entries(granularPolicy || {})) {
+      const categories = categoriesByPackage[key] || new Set();
+      for (const [capabilityType, kind] of Object.entries(CAPABILITY_KINDS[granularity])) {
+        (entry[capabilityType] || []).forEach((capability) => categories.add(capabilityCategory(kind, capability)));
+      }
+      categoriesByPackage[key] = categories;
+    }
+  }
+  const scores = {};
+  for (const [key, categories] of Object.entries(categoriesByPackage)) {
+    const score = Array.from(categories).reduce((sum, category) => sum + CATEGORIES[category].weight, 0);
+    scores[key] = {
+      score: Math.min(score, MAX_RISK_SCORE),
+      categories: Array.from(categories).filter((category) => CATEGORIES[category].weight > 0).sort()
+    };
+  }
+  return scores;
+}
+
+module.exports = {
+  CAPABILITY_KINDS: CAPABILITY_KINDS,
+  capabilityCategory: capabilityCategory,
+  categoryInfo: categoryInfo,
+  categoryNames: categoryNames,
+  extendClassification: extendClassification,
+  riskScores: riskScores
+};
@@ -0,0 +1,344 @@
+"use strict";
+
+const acorn_walk = require('acorn-walk');
+
+const { NodeTypes } = require('./astUtils.js');
+require('./acornWalkPatch.js');
+
+/**
+ * Value of expressions that can't be evaluated before runtime
+ */
+const UNKNOWN = Symbol('unknown');
+
+// Maximum nesting of evaluated expressions and variable references, which also stops reference cycles
+const MAX_DEPTH = 32;
+
+// Encodings accepted by `Buffer.from` and `Buffer.prototype.toString`
+const BUFFER_ENCODINGS = new Set(['ascii', 'base64', 'base64url', 'binary', 'hex', 'latin1', 'utf-8', 'utf8']);
+
+// Methods that can be evaluated on constant strings and arrays. None of them takes a callback.
+const STRING_METHODS = new Set([
+  'charAt', 'concat', 'replace', 'replaceAll', 'slice', 'split', 'substr', 'substring', 'toLowerCase',
+  'toString', 'toUpperCase', 'trim'
+]);
+const ARRAY_METHODS = new Set(['concat', 'join', 'reverse', 'slice']);
+
+/**
+ * Get the names of the variables bound by a declaration or assignment target
+ * @param   {Object}   pattern The target, e.g. an identifier or an object pattern
+ * @returns {String[]}         The names of the variables
+ */
+function boundNames(pattern) {
+  switch (pattern.type) {
+    case NodeTypes.Identifier:
+      return [pattern.name];
+    case NodeTypes.AssignmentPattern:
+      return boundNames(pattern.left);
+    case NodeTypes.RestElement:
+      return boundNames(pattern.argument);
+    case NodeTypes.Property:
+      return boundNames(pattern.value);
+    case NodeTypes.ObjectPattern:
+      return pattern.properties.flatMap(boundNames);
+    case NodeTypes.ArrayPattern:
+      return pattern.elements.filter((element) => element !== null).flatMap(boundNames);
+  }
+  // e.g. a member expression as assignment target, which binds no variable
+  return [];
+}
+
+/**
+ * Collect the variables of an AST that have a single value throughout the program: variables that
+ * are declared exactly once with an initializer, and are never reassigned. As scopes are not taken
+ * into account, variables of the same name declared in different scopes are ignored.
+ * @param   {Object}              ast The AST
+ * @returns {Map<String, Object>}     Map from the names of the variables to their initializer nodes
+ */
+function collectConstants(ast) {
+  const initializers = new Map();
+  const ambiguous = new Set();
+  const declare = (name, init) => {
+    if (init === null || initializers.has(name)) {
+      ambiguous.add(name);
+    }
+    initializers.set(name, init);
+  };
+  acorn_walk.full(ast, (node) => {
+    switch (node.type) {
+      case NodeTypes.VariableDeclarator:
+        if (node.id.type === NodeTypes.Identifier) {
+          declare(node.id.name, node.init);
+        } else {
+          boundNames(node.id).forEach((name) => ambiguous.add(name));
+        }
+        break;
+      case NodeTypes.FunctionDeclaration:
+      case NodeTypes.FunctionExpression:
+      case NodeTypes.ArrowFunctionExpression:
+        if (node.id) {
+          ambiguous.add(node.id.name);
+        }
+        node.params.flatMap(boundNames).forEach((name) => ambiguous.add(name));
+        break;
+      case NodeTypes.ClassDeclaration:
+        ambiguous.add(node.id.name);
+        break;
+      case NodeTypes.CatchClause:
+        if (node.param) {
+          boundNames(node.param).forEach((name) => ambiguous.add(name));
+        }
+        break;
+      case NodeTypes.ImportSpecifier:
+      case NodeTypes.ImportDefaultSpecifier:
+      case NodeTypes.ImportNamespaceSpecifier:
+        ambiguous.add(node.local.name);
+        break;
+      case NodeTypes.AssignmentExpression:
+        boundNames(node.left).forEach((name) => ambiguous.add(name));
+        break;
+      case NodeTypes.UpdateExpression:
+        boundNames(node.argument).forEach((name) => ambiguous.add(name));
+        break;
+      case NodeTypes.ForInStatement:
+      case NodeTypes.ForOfStatement:
+        if (node.left.type !== NodeTypes.VariableDeclaration) {
+          boundNames(node.left).forEach((name) => ambiguous.add(name));
+        }
+        break;
+    }
+  });
+  for (const name of ambiguous) {
+    initializers.delete(name);
+  }
+  return initializers;
+}
+
+/**
+ * Indicates whether a value can be the receiver or an argument of an evaluated call
+ * @param   {any}     value The value
+ * @returns {boolean}       true if the value is a primitive, an array of primitives or a Buffer, else false
+ */
+function isFoldableValue(value) {
+  if (Array.isArray(value)) {
+    return value.every((element) => element === null || typeof element !== 'object');
+  }
+  return value === null || typeof value !== 'object' || Buffer.isBuffer(value);
+}
+
+/**
+ * Evaluate a call of a function or method with known arguments: `String.fromCharCode`,
+ * `Buffer.from`, `atob` and the side-effect free methods of constant strings, arrays and Buffers
+ * @param   {Object}   node     The call expression node
+ * @param   {Function} evaluate Function evaluating a child node
+ * @returns {any}               The result of the call, or UNKNOWN
+ */
+function evaluateCall(node, evaluate) {
+  const args = node.arguments.map(evaluate);
+  if (node.optional || args.some((arg) => arg === UNKNOWN || !isFoldableValue(arg))) {
+    return UNKNOWN;
+  }
+  const { callee } = node;
+  if (callee.type === NodeTypes.Identifier) {
+    if (callee.name === 'atob' && typeof args[0] === 'string') {
+      return Buffer.from(args[0], 'base64').toString('latin1');
+    }
+    return UNKNOWN;
+  }
+  if (callee.type !== NodeTypes.MemberExpression) {
+    return UNKNOWN;
+  }
+  const method = callee.computed ? evaluate(callee.property) : callee.property.name;
+  if (callee.object.type === NodeTypes.Identifier) {
+    if (callee.object.name === 'String' && method === 'fromCharCode' && args.every((arg) => typeof arg === 'number')) {
+      return String.fromCharCode(...args);
+    }
+    if (callee.object.name === 'Buffer' && method === 'from') {
+      if (typeof args[0] === 'string' && (args.length === 1 || BUFFER_ENCODINGS.has(args[1]))) {
+        return Buffer.from(args[0], args[1]);
+      }
+      if (Array.isArray(args[0]) && args[0].every((arg) => typeof arg === 'number')) {
+        return Buffer.from(args[0]);
+      }
+      return UNKNOWN;
+    }
+  }
+  const receiver = evaluate(callee.object);
+  if (typeof receiver === 'string' && STRING_METHODS.has(method)) {
+    return String.prototype[method].apply(receiver, args);
+  }
+  if (Array.isArray(receiver) && isFoldableValue(receiver) && ARRAY_METHODS.has(method)) {
+    // `reverse` works in place, so it is applied to a copy
+    return Array.prototype[method].apply(receiver.slice(), args);
+  }
+  if (Buffer.isBuffer(receiver) && method === 'toString' && (args.length === 0 || BUFFER_ENCODINGS.has(args[0]))) {
+    return receiver.toString(args[0]);
+  }
+  return UNKNOWN;
+}
+
+/**
+ * Evaluate an expression whose value is known before runtime. Besides literals, this folds string
+ * concatenation, template literals, constant variables and the calls supported by `evaluateCall`,
+ * e.g. `'chi' + 'ld_process'` or `Buffer.from('ZnM=', 'base64').toString()`.
+ * @param   {Object}              node      The expression node
+ * @param   {Map<String, Object>} constants The constant variables, see `collectConstants`
+ * @param   {number}              depth     The nesting depth of the evaluation
+ * @returns {any}                           The value of the expression, or UNKNOWN
+ */
+function evaluateConstant(node, constants = new Map(), depth = 0) {
+  if (depth > MAX_DEPTH) {
+    return UNKNOWN;
+  }
+  const evaluate = (child) => evaluateConstant(child, constants, depth + 1);
+  switch (node.type) {
+    case NodeTypes.Literal:
+      return node.regex ? UNKNOWN : node.value;
+    case NodeTypes.TemplateLiteral: {
+      let value = node.quasis[0].value.cooked;
+      for (let i = 0; i < node.expressions.length; ++i) {
+        const expressionValue = evaluate(node.expressions[i]);
+        if (expressionValue === UNKNOWN || !isFoldableValue(expressionValue)) {
+          return UNKNOWN;
+        }
+        value += expressionValue + node.quasis[i + 1].value.cooked;
+      }
+      return value;
+    }
+    case NodeTypes.BinaryExpression: {
+      const left = evaluate(node.left);
+      const right = evaluate(node.right);
+      if (node.operator !== '+' || left === UNKNOWN || right === UNKNOWN || !isFoldableValue(left) || !isFoldableValue(right)) {
+        return UNKNOWN;
+      }
+      return left + right;
+    }
+    case NodeTypes.Identifier:
+      return constants.has(node.name) ? evaluate(constants.get(node.name)) : UNKNOWN;
+    case NodeTypes.SequenceExpression:
+      return evaluate(node.expressions[node.expressions.length - 1]);
+    case NodeTypes.ArrayExpression: {
+      if (node.elements.some((element) => element === null || element.type === NodeTypes.SpreadElement)) {
+        return UNKNOWN;
+      }
+      const elements = node.elements.map(evaluate);
+      return elements.includes(UNKNOWN) ? UNKNOWN : elements;
+    }
+    case NodeTypes.MemberExpression: {
+      // Only indexing into constant strings and arrays, and their length
+      const object = evaluate(node.object);
+      const property = node.computed ? evaluate(node.property) : node.property.name;
+      if (node.optional || !(typeof object === 'string' || Array.isArray(object))) {
+        return UNKNOWN;
+      }
+      if (property === 'length') {
+        return object.length;
+      }
+      return Number.isInteger(property) && property >= 0 && property < object.length ? object[property] : UNKNOWN;
+    }
+    case NodeTypes.CallExpression:
+      return evaluateCall(node, evaluate);
+  }
+  return UNKNOWN;
+}
+
+/**
+ * Get the value of an expression that evaluates to a string known before runtime
+ * @param   {Object}               node      The expression node
+ * @param   {Map<String, Object>?} constants The constant variables, see `collectConstants`
+ * @returns {String?}                        The string, or null if the expression is no such string
+ */
+function staticStringValue(node, constants = new Map()) {
+  const value = evaluateConstant(node, constants);
+  return typeof value === 'string' ? value : null;
+}
+
+/**
+ * Get the name of the property accessed by a member expression, or of the key of a property in an
+ * object pattern, if it is known before runtime
+ * @param   {Object}               node      The member expression or property node
+ * @param   {Map<String, Object>?} constants The constant variables, see `collectConstants`
+ * @returns {String?}                        The name, or null if it is computed at runtime
+ */
+function staticPropertyName(node, constants = new Map()) {
+  const key = node.type === NodeTypes.MemberExpression ? node.property : node.key;
+  if (node.computed) {
+    return staticStringValue(key, constants);
+  }
+  return key.type === NodeTypes.Literal ? String(key.value) : key.name;
+}
+
+/**
+ * Get the chain of member accesses that ends with a member expression, e.g. the `fs` node and the
+ * members `promises` and `readFile` for `fs.promises.readFile`. The chain starts after the last
+ * member whose name is computed at runtime.
+ * @param   {Object}               node      The member expression node
+ * @param   {Map<String, Object>?} constants The constant variables, see `collectConstants`
+ * @returns {Object}                         The `object` node the chain starts at and the names of the `members` accessed on it
+ */
+function staticMemberChain(node, constants = new Map()) {
+  const members = [];
+  let object = node;
+  while (object.type === NodeTypes.MemberExpression) {
+    const name = staticPropertyName(object, constants);
+    if (name === null) {
+      break;
+    }
+    members.unshift(name);
+    object = object.object;
+  }
+  return { object: object, members: members };
+}
+
+/**
+ * Get the chains of members that a destructuring pattern reads from its value, e.g. `promises` and
+ * `readFile` for `{ promises: { readFile } }`, or `2` for `[, , file]`. Rest elements and properties
+ * whose key is computed at runtime use the object they read from as a whole, i.e. end their chain
+ * at that object.
+ * @param   {Object}               pattern   The object or array pattern node
+ * @param   {Map<String, Object>?} constants The constant variables, see `collectConstants`
+ * @returns {String[][]}                     The names of the members of each chain
+ */
+function patternMemberChains(pattern, constants = new Map()) {
+  if (pattern.type === NodeTypes.AssignmentPattern) {
+    return patternMemberChains(pattern.left, constants);
+  }
+  const members = [];
+  if (pattern.type === NodeTypes.ObjectPattern) {
+    for (const property of pattern.properties) {
+      if (property.type === NodeTypes.Property) {
+        members.push({ name: staticPropertyName(property, constants), value: property.value });
+      } else {
+        members.push({ name: null, value: property });
+      }
+    }
+  } else if (pattern.type === NodeTypes.ArrayPattern) {
+    pattern.elements.forEach((element, index) => {
+      if (element !== null) {
+        members.push({ name: element.type === NodeTypes.RestElement ? null : String(index), value: element });
+      }
+    });
+  }
+  const chains = [];
+  for (const { name, value } of members) {
+    if (name === null) {
+      chains.push([]);
+      continue;
+    }
+    const nested = patternMemberChains(value, constants);
+    if (nested.length === 0) {
+      chains.push([name]);
+    }
+    nested.forEach((chain) => chains.push([name, ...chain]));
+  }
+  return chains;
+}
+
+module.exports = {
+  collectConstants: collectConstants,
+  evaluateConstant: evaluateConstant,
+  patternMemberChains: patternMemberChains,
+  staticMemberChain: staticMemberChain,
+  staticPropertyName: staticPropertyName,
+  staticStringValue: staticStringValue,
+  UNKNOWN: UNKNOWN
+};
@@ -1,6 +1,8 @@
 const path = require('path');
 const fs = require('fs');
 
+const { packageNameFromPath } = require('./packageIdentity.js');
+
 /**
  * Class representing nodes in the dependency graph
  */
@@ -99,8 +101,7 @@ function buildPackagePathsMapVersion2or3(lockfile, rootPath) {
   const packages = lockfile.packages;
   for (const relativePackagePath of Object.keys(packages)) {
     const packagePath = path.join(rootPath, relativePackagePath);
-    const pathParts = packagePath.split('node_modules/');
-    const packageName = pathParts[pathParts.length - 1];
+    const packageName = packageNameFromPath(packagePath);
     if (!Object.keys(packagePathsMap).includes(packageName)) {
       packagePathsMap[packageName] = [];
     }
@@ -194,6 +195,70 @@ function getDependencyMap(rootPath) {
   return dependencyMap;
 }
 
+/**
+ * Create a version map (mapping package paths to the installed version) from a lockfile with
+ * lockfile version 1
+ * @param   {Object} lockfile    The parsed lockfile contents
+ * @param   {Object} packageJson The packages' parsed package json file
+ * @param   {String} rootPath    Path to the package root
+ * @returns {Object}             The version map
+ */
+function versionMapFromLockfileVersion1(lockfile, packageJson, rootPath) {
+  const versionMap = {};
+  versionMap[rootPath] = packageJson.version || null;
+
+  function addVersionsToMap(packages, nodeModulesPath) {
+    for (const packageName of Object.keys(packages)) {
+      versionMap[path.join(nodeModulesPath, packageName)] = packages[packageName].version || null;
+      addVersionsToMap(packages[packageName].dependencies || {}, path.join(nodeModulesPath, packageName, 'node_modules/'));
+    }
+  }
+
+  addVersionsToMap(lockfile.dependencies || {}, path.join(rootPath, 'node_modules/'));
+  return versionMap;
+}
+
+/**
+ * Create a version map (mapping package paths to the installed version) from a lockfile with
+ * lockfile version 2 or 3
+ * @param   {Object} lockfile The parsed lockfile contents
+ * @param   {String} rootPath Path to the package root
+ * @returns {Object}          The version map
+ */
+function versionMapFromLockfileVersion2or3(lockfile, rootPath) {
+  const versionMap = {};
+  const packages = lockfile.packages;
+  for (const relativePackagePath of Object.keys(packages)) {
+    // Linked packages (e.g. workspaces) only have a version in the entry of their target
+    versionMap[path.join(rootPath, relativePackagePath)] = packages[relativePackagePath].version || null;
+  }
+  return versionMap;
+}
+
+/**
+ * Get the version map (mapping package paths to the version recorded in the lockfile) for a given
+ * root package path
+ * @param   {String} rootPath The path to the root package
+ * @returns {Object}          The version map
+ */
+function getVersionMap(rootPath) {
+  const packageJsonPath = path.join(rootPath, 'package.json');
+  const packageJson = JSON.parse(fs.readFileSync(packageJsonPath));
+  const lockfile = parseLockfile(rootPath)
+
+  let versionMap = {};
+  switch (lockfile.lockfileVersion) {
+    case 1:
+      versionMap = versionMapFromLockfileVersion1(lockfile, packageJson, rootPath);
+      break;
+    case 2:
+    case 3:
+      versionMap = versionMapFromLockfileVersion2or3(lockfile, rootPath);
+      break;
+  }
+  return versionMap;
+}
+
 /**
  * Add all dependencies in the node_modules directory to the nodeMap and dependencyMap
  * @param {String} modulesPath     Path to the directory containing the dependencies
@@ -249,7 +314,38 @@ function getDependencyGraph(rootPath) {
   return nodeMap[rootPath];
 }
 
+/**
+ * Find the shortest chain of dependencies through which the root package depends on a given package
+ * @param   {Object}    dependencyMap The dependency map
+ * @param   {String}    rootPath      Path to the root package
+ * @param   {String}    packagePath   Path to the package
+ * @returns {String[]?}               The package paths from the root package to the given package, or null if the package is not reachable
+ */
+function getDependencyChain(dependencyMap, rootPath, packagePath) {
+  const predecessors = new Map([[rootPath, null]]);
+  const queue = [rootPath];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (current === packagePath) {
+      const chain = [];
+      for (let node = current; node !== null; node = predecessors.get(node)) {
+        chain.unshift(node);
+      }
+      return chain;
+    }
+    for (const dependency of dependencyMap[current] || []) {
+      if (!predecessors.has(dependency)) {
+        predecessors.set(dependency, current);
+        queue.push(dependency);
+      }
+    }
+  }
+  return null;
+}
+
 module.exports = {
+  getDependencyChain: getDependencyChain,
   getDependencyGraph: getDependencyGraph,
-  getDependencyMap: getDependencyMap
+  getDependencyMap: getDependencyMap,
+  getVersionMap: getVersionMap
 }
@@ -0,0 +1,55 @@
+"use strict";
+
+// The forms of dynamic code execution, i.e. ways to compile and run code that is only known at
+// runtime. Policy entries list the forms a package uses in their `dynamicCode` section.
+
+// Global functions that compile their string arguments as code
+const DYNAMIC_CODE_GLOBALS = new Set(['eval', 'Function']);
+
+// Members of global objects that compile code
+const DYNAMIC_CODE_GLOBAL_MEMBERS = new Set([
+  'WebAssembly.Module',
+  'WebAssembly.compile',
+  'WebAssembly.compileStreaming',
+  'WebAssembly.instantiate',
+  'WebAssembly.instantiateStreaming'
+]);
+
+// Global timer functions that run their callback as code if it is a string instead of a function
+const STRING_CALLBACK_GLOBALS = new Set(['setTimeout', 'setInterval']);
+
+// Members of built-in modules that compile code
+const DYNAMIC_CODE_MODULE_MEMBERS = new Set([
+  'vm.Script',
+  'vm.SourceTextModule',
+  'vm.compileFunction',
+  'vm.runInContext',
+  'vm.runInNewContext',
+  'vm.runInThisContext'
+]);
+
+// Name of the capability recorded for `require` calls and `import()` expressions whose module can't
+// be determined before runtime, e.g. `require(name)`. It is listed among the modules of a package.
+const UNRESOLVED_REQUIRE = '<unresolved require>';
+
+// Globals that reference the global object itself, e.g. in `globalThis['eval']`
+const GLOBAL_OBJECT_NAMES = new Set(['global', 'globalThis']);
+
+/**
+ * Indicates whether a member of a built-in module compiles code
+ * @param   {String}  capability Name of the module and its member, separated by a `.`, where the module may have the `node:` scheme
+ * @returns {boolean}            true if the member compiles code, else false
+ */
+function isDynamicCodeModuleMember(capability) {
+  return DYNAMIC_CODE_MODULE_MEMBERS.has(capability.startsWith('node:') ? capability.slice('node:'.length) : capability);
+}
+
+module.exports = {
+  DYNAMIC_CODE_GLOBALS: DYNAMIC_CODE_GLOBALS,
+  DYNAMIC_CODE_GLOBAL_MEMBERS: DYNAMIC_CODE_GLOBAL_MEMBERS,
+  DYNAMIC_CODE_MODULE_MEMBERS: DYNAMIC_CODE_MODULE_MEMBERS,
+  GLOBAL_OBJECT_NAMES: GLOBAL_OBJECT_NAMES,
+  STRING_CALLBACK_GLOBALS: STRING_CALLBACK_GLOBALS,
+  UNRESOLVED_REQUIRE: UNRESOLVED_REQUIRE,
+  isDynamicCodeModuleMember: isDynamicCodeModuleMember
+};
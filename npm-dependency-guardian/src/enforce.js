@@ -0,0 +1,77 @@
+"use strict";
+
+// Enforces a policy on an unmodified NodeJS by hooking the CommonJS module loader. Load it before the
+// application code with `node --require ./src/enforce.js app.js`, or with `--import ./src/enforce.mjs`
+// to additionally cover ES modules.
+
+const Module = require('module');
+
+const { callerPath, isolateGlobalObject, lockModuleSystem, pruneModule, makeLocalGlobals, mode } = require('./policyUtils.js');
+const { COMMONJS_PROLOGUE } = require('./prologues.js');
+const { replaceGlobals } = require('./replaceGlobals.js');
+
+const NATIVE_MODULES = new Set(Module.builtinModules);
+
+// The prologue fetches the restricted globals through a function that is only attached to the module
+// object while its code is compiled and executed.
+const LOCAL_GLOBALS_KEY = Symbol.for('npm-dependency-guardian.localGlobals');
+
+const originalLoad = Module._load;
+const originalCompile = Module.prototype._compile;
+
+/**
+ * Get the name of a built-in module from a request, with the optional `node:` scheme removed
+ * @param   {String}  request The request passed to `require`
+ * @returns {String?}         The name of the built-in module, or null if the request is no built-in module
+ */
+function builtinModuleName(request) {
+  const name = request.startsWith('node:') ? request.slice('node:'.length) : request;
+  return NATIVE_MODULES.has(name) ? name : null;
+}
+
+/**
+ * Replacement for `Module._load` that restricts built-in modules according to the policy of the
+ * package that requires them. As every way to load a module ends up here (`require`, `module.require`,
+ * `require.main.require`, `createRequire(...)`, `Module._load` itself, ...), the requiring package is
+ * identified by the caller on the stack instead of the `parent` module, which the caller can choose.
+ * @param   {String}  request The request passed to `require`
+ * @param   {Module?} parent  The requiring module
+ * @param   {boolean} isMain  true if the module is the entry point of the application
+ * @returns {Object}          The (restricted) module
+ */
+function load(request, parent, isMain) {
+  const name = builtinModuleName(request);
+  if (name === null) {
+    return originalLoad.apply(this, arguments);
+  }
+  // With the `node:` scheme, entries of `require.cache` can't stand in for the built-in module
+  const module = originalLoad.call(this, `node:${name}`, parent, isMain);
+  return pruneModule(callerPath(load), name, module);
+}
+
+/**
+ * Replacement for `Module.prototype._compile` that redirects global object accesses to the
+ * restricted globals of the module
+ * @param   {String} content  The source code of the module
+ * @param   {String} filename The path of the module
+ * @returns {any}             The result of the original `_compile`
+ */
+function compile(content, filename) {
+  const mod = this;
+  Object.defineProperty(mod, LOCAL_GLOBALS_KEY, {
+    configurable: true,
+    value: function (exports, require, filename, dirname) {
+      delete mod[LOCAL_GLOBALS_KEY];
+      return makeLocalGlobals(mod, exports, require, mod, filename, dirname);
+    }
+  });
+  return originalCompile.call(mod, replaceGlobals(content, COMMONJS_PROLOGUE, 'script', filename), filename);
+}
+
+// In `off` mode, the module system is left untouched
+if (mode !== 'off') {
+  Module._load = load;
+  Module.prototype._compile = compile;
+  lockModuleSystem(Module);
+  isolateGlobalObject();
+}
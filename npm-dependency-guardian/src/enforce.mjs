@@ -0,0 +1,10 @@
+// Entry point for `node --import ./src/enforce.mjs app.js`, which requires NodeJS >= 20.6 (or
+// >= 18.19). Enforces the policy for CommonJS modules and registers the ES module loader hooks.
+import { register } from 'node:module';
+
+import './enforce.js';
+import policyUtils from './policyUtils.js';
+
+if (policyUtils.mode !== 'off') {
+  register('./esmHooks.mjs', import.meta.url);
+}
@@ -0,0 +1,36 @@
+"use strict";
+
+// The environment variables that a package reads from `process.env`. Policy entries list their names
+// in their `environment` section.
+
+// Name recorded for reads of environment variables whose names can't be determined before runtime,
+// e.g. `process.env[name]`, and for uses of `process.env` as a whole, e.g. `JSON.stringify(process.env)`
+const ALL_ENVIRONMENT_VARIABLES = '*';
+
+// The global member whose members are the environment variables
+const ENVIRONMENT_MEMBER = 'process.env';
+
+/**
+ * Describe an environment variable for the console output
+ * @param   {String} name The name of the variable, or ALL_ENVIRONMENT_VARIABLES
+ * @returns {String}      The description, e.g. `environment variable HOME`
+ */
+function describeEnvironmentVariable(name) {
+  return name === ALL_ENVIRONMENT_VARIABLES ? 'any environment variable' : `environment variable ${name}`;
+}
+
+/**
+ * Get the environment variable that a global member path reads, e.g. `HOME` for `process.env.HOME`
+ * @param   {String}  capability The global member path
+ * @returns {String?}            The name of the variable, or null if the path reads no environment variable
+ */
+function environmentVariableOf(capability) {
+  const parts = capability.split('.');
+  return parts.length > 2 && `${parts[0]}.${parts[1]}` === ENVIRONMENT_MEMBER ? parts[2] : null;
+}
+
+module.exports = {
+  ALL_ENVIRONMENT_VARIABLES: ALL_ENVIRONMENT_VARIABLES,
+  describeEnvironmentVariable: describeEnvironmentVariable,
+  environmentVariableOf: environmentVariableOf
+};
@@ -0,0 +1,64 @@
+// ES module loader hooks enforcing the policy, registered by `enforce.mjs`.
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
+
+const require = createRequire(import.meta.url);
+const { importerScopedURL, parseImporterScopedURL } = require('./policyUtils.js');
+const { ES_MODULE_PROLOGUE, POLICY_UTILS_URL } = require('./prologues.js');
+const { replaceGlobals } = require('./replaceGlobals.js');
+
+/**
+ * Create the source code of a module that re-exports a built-in module, restricted according to the
+ * policy of the importing package
+ * @param   {String} builtinURL   The URL of the built-in module, e.g. `node:fs`
+ * @param   {String} importerPath Path to the importing module
+ * @returns {String}              The source code of the module
+ */
+function prunedBuiltinSource(builtinURL, importerPath) {
+  const name = builtinURL.slice('node:'.length);
+  // Keep the export names of the original module, so that named imports still link
+  const exportNames = Object.keys(require(builtinURL)).filter((exportName) => exportName !== 'default');
+  const lines = [
+    `import original from ${JSON.stringify(builtinURL)};`,
+    `import { pruneModule, prunedModuleExport } from ${JSON.stringify(POLICY_UTILS_URL)};`,
+    `const pruned = pruneModule(${JSON.stringify(importerPath)}, ${JSON.stringify(name)}, original);`,
+    'export default pruned;',
+  ];
+  // The members are taken from the module itself, so that only the members the package uses are reported
+  exportNames.forEach((exportName, i) => {
+    lines.push(`const export${i} = prunedModuleExport(${JSON.stringify(importerPath)}, ${JSON.stringify(name)}, original, pruned, ${JSON.stringify(exportName)});`);
+    lines.push(`export { export${i} as ${JSON.stringify(exportName)} };`);
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Resolve hook giving every importer of a built-in module or `data:` module its own URL, so that it
+ * receives its own restricted copy of the module, see `importerScopedURL`
+ */
+export async function resolve(specifier, context, nextResolve) {
+  const resolved = await nextResolve(specifier, context);
+  const url = importerScopedURL(resolved.url, context.parentURL);
+  if (url === resolved.url) {
+    return resolved;
+  }
+  return { url: url, format: 'module', shortCircuit: true };
+}
+
+/**
+ * Load hook restricting built-in modules and redirecting global object accesses of ES modules, from
+ * files and `data:` URLs, to their restricted globals
+ */
+export async function load(url, context, nextLoad) {
+  const { moduleURL, importerPath } = parseImporterScopedURL(url);
+  if (importerPath !== null && moduleURL.startsWith('node:')) {
+    return { format: 'module', source: prunedBuiltinSource(moduleURL, importerPath), shortCircuit: true };
+  }
+  const loaded = await nextLoad(url, context);
+  if (loaded.format !== 'module' || (!url.startsWith('file:') && importerPath === null)) {
+    return loaded;
+  }
+  const source = Buffer.from(loaded.source).toString();
+  const filename = importerPath === null ? fileURLToPath(url) : `data: URL imported by ${importerPath}`;
+  return { ...loaded, source: replaceGlobals(source, ES_MODULE_PROLOGUE, 'module', filename) };
+}
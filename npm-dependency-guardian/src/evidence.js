@@ -0,0 +1,124 @@
+"use strict";
+
+// Maximum number of source locations recorded per capability of a package
+const MAX_LOCATIONS_PER_CAPABILITY = 5;
+// Maximum length of the code snippet shown for a source location
+const MAX_SNIPPET_LENGTH = 120;
+
+// Maps the kinds of capabilities to the sections of the evidence of a package
+const CAPABILITY_TYPES = {
+  module: 'modules',
+  global: 'globals',
+  dynamicCode: 'dynamicCode',
+  environmentVariable: 'environment',
+  moduleMember: 'moduleMembers',
+  globalMember: 'globalMembers'
+};
+
+/**
+ * Get the line and column of a position within source code
+ * @param   {String} source The source code
+ * @param   {number} offset The position within the source code
+ * @returns {Object}        Object containing the `line` and `column`, both starting at 1
+ */
+function lineAndColumn(source, offset) {
+  const lines = source.slice(0, offset).split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Get the trimmed line of source code containing a given position
+ * @param   {String} source The source code
+ * @param   {number} offset The position within the source code
+ * @returns {String}        The line, shortened to MAX_SNIPPET_LENGTH characters
+ */
+function snippetAt(source, offset) {
+  const lineStart = source.lastIndexOf('\n', offset - 1) + 1;
+  let lineEnd = source.indexOf('\n', offset);
+  if (lineEnd === -1) {
+    lineEnd = source.length;
+  }
+  const line = source.slice(lineStart, lineEnd).trim();
+  return line.length > MAX_SNIPPET_LENGTH ? `${line.slice(0, MAX_SNIPPET_LENGTH - 3)}...` : line;
+}
+
+/**
+ * Describe a position within a file
+ * @param   {String} filePath Path to the file
+ * @param   {String} source   The source code of the file
+ * @param   {number} offset   The position within the source code
+ * @returns {Object}          The source location, containing the `file`, `line`, `column` and a `snippet` of the code
+ */
+function sourceLocation(filePath, source, offset) {
+  const { line, column } = lineAndColumn(source, offset);
+  return { file: filePath, line: line, column: column, snippet: snippetAt(source, offset) };
+}
+
+/**
+ * Record where a capability is used. Only the first MAX_LOCATIONS_PER_CAPABILITY locations of each
+ * capability are kept.
+ * @param {Object} evidence   Object mapping capabilities to lists of source locations
+ * @param {String} capability The capability, e.g. `child_process`
+ * @param {String} filePath   Path to the file using the capability
+ * @param {String} source     The source code of the file
+ * @param {number} offset     The position within the source code
+ */
+function addEvidence(evidence, capability, filePath, source, offset) {
+  if (!Object.prototype.hasOwnProperty.call(evidence, capability)) {
+    evidence[capability] = [];
+  }
+  if (evidence[capability].length >= MAX_LOCATIONS_PER_CAPABILITY) {
+    return;
+  }
+  evidence[capability].push(sourceLocation(filePath, source, offset));
+}
+
+/**
+ * Add the source locations of one evidence object to another, e.g. if the same version of a package
+ * is installed multiple times
+ * @param {Object} target The evidence object to add to
+ * @param {Object} other  The evidence object to add
+ */
+function mergeEvidence(target, other) {
+  for (const capability of Object.keys(other)) {
+    const locations = target[capability] || [];
+    target[capability] = locations.concat(other[capability]).slice(0, MAX_LOCATIONS_PER_CAPABILITY);
+  }
+}
+
+/**
+ * Add the recorded source locations to the findings of newly added capabilities
+ * @param   {Object[]} findings The findings of a policy diff
+ * @param   {Object?}  evidence The `evidence` section of the new policy, if it has one
+ * @returns {Object[]}          The findings
+ */
+function attachEvidence(findings, evidence) {
+  if (!evidence) {
+    return findings;
+  }
+  for (const finding of findings) {
+    const capabilityType = CAPABILITY_TYPES[finding.kind];
+    if (finding.change === 'capabilityAdded' && capabilityType !== undefined && evidence[finding.package] !== undefined) {
+      finding.evidence = (evidence[finding.package][capabilityType] || {})[finding.capability] || [];
+    }
+  }
+  return findings;
+}
+
+/**
+ * Format a source location for the console output, e.g.
+ * `node_modules/a/index.js:3:12  const cp = require('child_process');`
+ * @param   {Object} location The source location
+ * @returns {String}          The formatted location
+ */
+function formatEvidence(location) {
+  return `${location.file}:${location.line}:${location.column}  ${location.snippet}`;
+}
+
+module.exports = {
+  addEvidence: addEvidence,
+  attachEvidence: attachEvidence,
+  formatEvidence: formatEvidence,
+  mergeEvidence: mergeEvidence,
+  sourceLocation: sourceLocation
+};
@@ -3,11 +3,21 @@
 const acorn_walk = require('acorn-walk');
 
 const globalNames = require('./globalNames.js')
+const { collectConstants, patternMemberChains, staticMemberChain, staticPropertyName, staticStringValue } = require('./constantFolding.js')
+const { requiredModule, trackModuleReferencingVars } = require('./extractModules.js')
+const { capabilityPath } = require('./memberPaths.js')
+const { ALL_ENVIRONMENT_VARIABLES } = require('./environment.js')
 const {
   trackScope,
   trackVars,
   NodeTypes,
 } = require('./astUtils.js')
+const {
+  DYNAMIC_CODE_GLOBALS,
+  DYNAMIC_CODE_GLOBAL_MEMBERS,
+  GLOBAL_OBJECT_NAMES,
+  STRING_CALLBACK_GLOBALS
+} = require('./dynamicCode.js')
 require('./acornWalkPatch.js')
 
 
@@ -114,50 +124,47 @@ function trackGlobals(node, type, env, ancestors, globals) {
 }
 
 
-// TODO: i currently do not differentiate between indexing into an array module, and accessing an
-// object property.
-// In theory i can tell by looking at the type of the module, but not sure if i want that (doesn't
-// matter too much though, it's just perf)
 /**
- * Track which members of global objects are accessed
- * @param {Object}      node          The current node of the AST
- * @param {String}      type          The type of the current node
- * @param {Environment} env           The current environment during the AST traversal
- * @param {Set}         globalMembers Set containing all accessed global members
+ * Track which members of global objects are accessed. A chain of member accesses, e.g.
+ * `process.env.HOME`, is recorded at its last member, with the path of all its members.
+ * @param {Object}       node          The current node of the AST
+ * @param {String}       type          The type of the current node
+ * @param {Environment}  env           The current environment during the AST traversal
+ * @param {Object[]}     ancestors     List of AST ancestor nodes
+ * @param {Identifier[]} globalMembers List of identifiers of all accessed global members
  */
 function trackGlobalMembers(node, type, env, ancestors, globalMembers) {
     if (type === NodeTypes.MemberExpression) {
-      // If the property is not a literal, nor an identifier, we can't statically tell which
-      // property is accessed.
-      if ((node.property.type === NodeTypes.Identifier ||
-           node.property.type === NodeTypes.Literal) &&
-          isGlobal(node.object, env, ancestors.concat(node.object))) {
-        globalMembers.add(`${node.object.name}.${node.property.name || node.property.value.toString()}`)
+      const parent = ancestors[ancestors.length - 2];
+      // The chain continues if the parent accesses a member of this node whose name is known, or
+      // destructures it
+      if (parent !== undefined &&
+          ((parent.type === NodeTypes.MemberExpression && parent.object === node && staticPropertyName(parent) !== null) ||
+           (parent.type === NodeTypes.VariableDeclarator && parent.init === node && parent.id.type !== NodeTypes.Identifier))) {
+        return;
+      }
+      // Members whose names are computed at runtime end the chain, as we can't statically tell
+      // which property is accessed
+      const { object, members } = staticMemberChain(node);
+      if (members.length > 0 && isGlobal(object, env, ancestors.concat(object))) {
+        globalMembers.push(new Identifier(capabilityPath(object.name, members), node.start, node.end));
       }
     } else if (type === NodeTypes.VariableDeclaration) {
       for (const declarator of node.declarations) {
-        // TODO: we can't really deal with the `...rest` RestElements
-        if (declarator.id.type === NodeTypes.ObjectPattern &&
-            declarator.init &&
-            isGlobal(declarator.init, env, ancestors.concat([declarator, declarator.init]))) {
-          for (const property of declarator.id.properties) {
-            if (property.type === NodeTypes.Property) {
-              globalMembers.add(`${declarator.init.name}.${property.key.name}`);
-            } else if (property.type === NodeTypes.RestElement) {
-              // TODO: implement me, maybe?
-            } else {
-              throw Error(`Unknown object pattern property type ${property.type}`);
-            }
-          }
-        } else if (declarator.id.type === NodeTypes.ArrayPattern &&
-                   declarator.init &&
-                   isGlobal(declarator.init, env, ancestors.concat([declarator, declarator.init]))) {
-          // TODO: when i want to add support for the rest element, this has to check whether the
-          // last element is a rest element and then act accordingly
-          for (let i = 0; i < declarator.id.elements.length; ++i) {
-            if (declarator.id.elements[i] !== null) {
-              globalMembers.add(`${declarator.init.name}.${i}`);
-            }
+        // Object and array patterns, including nested ones, from a global object or a member of it,
+        // e.g. `const { HOME } = process.env`
+        if ((declarator.id.type !== NodeTypes.ObjectPattern && declarator.id.type !== NodeTypes.ArrayPattern) ||
+            !declarator.init) {
+          continue;
+        }
+        const { object, members } = declarator.init.type === NodeTypes.MemberExpression ?
+          staticMemberChain(declarator.init) : { object: declarator.init, members: [] };
+        if (!isGlobal(object, env, ancestors.concat([declarator, object]))) {
+          continue;
+        }
+        for (const chain of patternMemberChains(declarator.id)) {
+          if (members.length + chain.length > 0) {
+            globalMembers.push(new Identifier(capabilityPath(object.name, members.concat(chain)), declarator.start, declarator.end));
           }
         }
       }
@@ -165,18 +172,325 @@ function trackGlobalMembers(node, type, env, ancestors, globalMembers) {
 }
 
 
+// The built-in modules whose exports are the `process` object
+const PROCESS_MODULES = new Set(['process', 'node:process']);
+
+/**
+ * Indicates whether an expression references the `process` object: the global, also through the
+ * global object, e.g. `globalThis.process`, and the `process` module, e.g. `require('node:process')`
+ * or a variable holding it
+ * @param   {Object}              node      The expression node
+ * @param   {Environment}         env       The current environment
+ * @param   {Object[]}            ancestors List of AST ancestor nodes, ending with the expression
+ * @param   {Map<String, Object>} constants The constant variables of the AST
+ * @returns {boolean}                       true if the expression references `process`, else false
+ */
+function isProcessObject(node, env, ancestors, constants) {
+  if (node.type === NodeTypes.Identifier) {
+    const modRefVar = env.getModRefVarNamed(node.name);
+    return modRefVar === null ?
+      node.name === 'process' && isGlobal(node, env, ancestors) : PROCESS_MODULES.has(modRefVar.module);
+  }
+  if (node.type === NodeTypes.CallExpression) {
+    return PROCESS_MODULES.has(requiredModule(node, constants));
+  }
+  return node.type === NodeTypes.MemberExpression && globalObjectMemberName(node, env, ancestors) === 'process';
+}
+
+
+/**
+ * Get the destructuring pattern that an expression is assigned to, e.g. `{ HOME }` for
+ * `const { HOME } = process.env`
+ * @param   {Object}  node   The expression node
+ * @param   {Object}  parent The parent node of the expression
+ * @returns {Object?}        The object or array pattern node, or null if the expression is not destructured
+ */
+function destructuringPattern(node, parent) {
+  let pattern = null;
+  if (parent.type === NodeTypes.VariableDeclarator && parent.init === node) {
+    pattern = parent.id;
+  } else if ((parent.type === NodeTypes.AssignmentExpression || parent.type === NodeTypes.AssignmentPattern) && parent.right === node) {
+    pattern = parent.left;
+  }
+  return pattern !== null && (pattern.type === NodeTypes.ObjectPattern || pattern.type === NodeTypes.ArrayPattern) ? pattern : null;
+}
+
+
+/**
+ * Get the environment variable read through a property name. Names that are unknown before runtime
+ * and the members that `process.env` inherits, e.g. `hasOwnProperty`, may read any variable.
+ * @param   {String?} name The property name, or null if it is computed at runtime
+ * @returns {String}       The name of the variable, or ALL_ENVIRONMENT_VARIABLES
+ */
+function environmentVariableName(name) {
+  return name === null || name in Object.prototype ? ALL_ENVIRONMENT_VARIABLES : name;
+}
+
+
+/**
+ * Get the environment variables that a destructuring pattern reads from `process.env`, e.g. `HOME`
+ * and `USER` for `{ HOME, USER: user }`. Rest elements and array patterns read all variables.
+ * @param   {Object}   pattern The pattern node
+ * @returns {String[]}         The names of the variables, or ALL_ENVIRONMENT_VARIABLES
+ */
+function environmentPatternNames(pattern) {
+  if (pattern.type === NodeTypes.AssignmentPattern) {
+    return environmentPatternNames(pattern.left);
+  }
+  if (pattern.type !== NodeTypes.ObjectPattern) {
+    return [ALL_ENVIRONMENT_VARIABLES];
+  }
+  return pattern.properties.map((property) => property.type === NodeTypes.Property ?
+    environmentVariableName(staticPropertyName(property)) : ALL_ENVIRONMENT_VARIABLES);
+}
+
+
+/**
+ * Indicates whether an expression only checks the presence of its value, e.g. `typeof process.env`
+ * or `process.env && process.env.HOME`, where the value of the left operand is only used if it is
+ * falsy. The right operand of a logical expression is checked like the whole expression.
+ * @param   {Object[]} ancestors List of AST ancestor nodes, ending with the expression
+ * @returns {boolean}            true if the expression is only checked for its presence, else false
+ */
+function isPresenceCheck(ancestors) {
+  const node = ancestors[ancestors.length - 1];
+  const parent = ancestors[ancestors.length - 2];
+  if (parent === undefined) {
+    return false;
+  }
+  switch (parent.type) {
+    case NodeTypes.UnaryExpression:
+      return parent.operator === 'typeof' || parent.operator === '!';
+    case NodeTypes.LogicalExpression:
+      return (parent.operator === '&&' && parent.left === node) ||
+             (parent.right === node && isPresenceCheck(ancestors.slice(0, -1)));
+    case NodeTypes.BinaryExpression:
+      return ['===', '!==', '==', '!='].includes(parent.operator);
+    case NodeTypes.IfStatement:
+    case NodeTypes.ConditionalExpression:
+      return parent.test === node;
+  }
+  return false;
+}
+
+
+/**
+ * Get the environment variables that a use of `process.env` reads: the variable of a member access
+ * with a known name, e.g. `process.env.HOME` or `process.env['HOME']`, the variable checked by `in`
+ * and the variables of a destructuring pattern. Any other use, e.g. `process.env[name]` or
+ * `JSON.stringify(process.env)`, may read all variables.
+ * @param   {Object[]} ancestors List of AST ancestor nodes, ending with the `process.env` member expression
+ * @returns {String[]}           The names of the variables, or ALL_ENVIRONMENT_VARIABLES
+ */
+function environmentVariablesRead(ancestors) {
+  const node = ancestors[ancestors.length - 1];
+  const parent = ancestors[ancestors.length - 2];
+  if (parent === undefined) {
+    return [ALL_ENVIRONMENT_VARIABLES];
+  }
+  if (parent.type === NodeTypes.MemberExpression && parent.object === node) {
+    return [environmentVariableName(staticPropertyName(parent))];
+  }
+  if (parent.type === NodeTypes.BinaryExpression && parent.operator === 'in' && parent.right === node) {
+    return [environmentVariableName(staticStringValue(parent.left))];
+  }
+  const pattern = destructuringPattern(node, parent);
+  if (pattern !== null) {
+    return environmentPatternNames(pattern);
+  }
+  return isPresenceCheck(ancestors) ? [] : [ALL_ENVIRONMENT_VARIABLES];
+}
+
+
+/**
+ * Get the environment variables that a destructuring pattern reads from the `process` object, e.g.
+ * `HOME` for `const { env: { HOME } } = process`. Destructuring `env` into a variable or a rest
+ * element, or properties whose key is computed at runtime, may read all variables.
+ * @param   {Object}   pattern The pattern node
+ * @returns {String[]}         The names of the variables, or ALL_ENVIRONMENT_VARIABLES
+ */
+function processPatternNames(pattern) {
+  if (pattern.type === NodeTypes.AssignmentPattern) {
+    return processPatternNames(pattern.left);
+  }
+  if (pattern.type !== NodeTypes.ObjectPattern) {
+    return [];
+  }
+  const names = [];
+  for (const property of pattern.properties) {
+    const name = property.type === NodeTypes.Property ? staticPropertyName(property) : null;
+    if (name === null) {
+      names.push(ALL_ENVIRONMENT_VARIABLES);
+    } else if (name === 'env') {
+      const value = property.value.type === NodeTypes.AssignmentPattern ? property.value.left : property.value;
+      names.push(...(value.type === NodeTypes.ObjectPattern ? environmentPatternNames(value) : [ALL_ENVIRONMENT_VARIABLES]));
+    }
+  }
+  return names;
+}
+
+
+/**
+ * Track which environment variables are read from `process.env` of the `process` object, see
+ * `isProcessObject`. Reads whose variable is unknown before runtime are recorded as
+ * ALL_ENVIRONMENT_VARIABLES, like importing `env` from the `process` module, which binds it to a
+ * variable.
+ * @param {Object}              node        The current node of the AST
+ * @param {String}              type        The type of the current node
+ * @param {Environment}         env         The current environment during the AST traversal
+ * @param {Object[]}            ancestors   List of AST ancestor nodes
+ * @param {Identifier[]}        environment List of identifiers of all read environment variables
+ * @param {Map<String, Object>} constants   The constant variables of the AST
+ */
+function trackEnvironment(node, type, env, ancestors, environment, constants) {
+  const parent = ancestors[ancestors.length - 2];
+  let names = [];
+  if (type === NodeTypes.MemberExpression &&
+      staticPropertyName(node) === 'env' &&
+      isProcessObject(node.object, env, ancestors.concat(node.object), constants)) {
+    names = environmentVariablesRead(ancestors);
+  } else if (type === NodeTypes.ImportDeclaration && PROCESS_MODULES.has(node.source.value)) {
+    names = node.specifiers
+      .filter((specifier) => specifier.type === NodeTypes.ImportSpecifier && specifier.imported.name === 'env')
+      .map(() => ALL_ENVIRONMENT_VARIABLES);
+  } else if (parent !== undefined && isProcessObject(node, env, ancestors, constants)) {
+    const pattern = destructuringPattern(node, parent);
+    names = pattern === null ? [] : processPatternNames(pattern);
+  }
+  for (const name of names) {
+    environment.push(new Identifier(name, node.start, node.end));
+  }
+}
+
+
+/**
+ * Get the name of the property accessed by a member expression, if it is known statically
+ * @param   {Object}  node The member expression node
+ * @returns {String?}      The name of the property, or null if it is computed at runtime
+ */
+function propertyName(node) {
+  return node.computed ? staticStringValue(node.property) : node.property.name;
+}
+
+
+/**
+ * Get the name of the global that a member expression on the global object accesses, e.g. `eval` for
+ * `globalThis['ev' + 'al']`
+ * @param   {Object}      node      The member expression node
+ * @param   {Environment} env       The current environment
+ * @param   {Object[]}    ancestors List of AST ancestor nodes, ending with the member expression
+ * @returns {String?}               The name of the global, or null if the expression is no such access
+ */
+function globalObjectMemberName(node, env, ancestors) {
+  if (node.object.type !== NodeTypes.Identifier ||
+      !GLOBAL_OBJECT_NAMES.has(node.object.name) ||
+      !isGlobal(node.object, env, ancestors.concat(node.object))) {
+    return null;
+  }
+  return propertyName(node);
+}
+
+
+/**
+ * Indicates whether an expression evaluates to a string, e.g. `'alert(' + message + ')'`
+ * @param   {Object}  node The expression node
+ * @returns {boolean}      true if the expression evaluates to a string, else false
+ */
+function isStringExpression(node) {
+  switch (node.type) {
+    case NodeTypes.Literal:
+      return typeof node.value === 'string';
+    case NodeTypes.TemplateLiteral:
+      return true;
+    case NodeTypes.BinaryExpression:
+      return node.operator === '+' && (isStringExpression(node.left) || isStringExpression(node.right));
+  }
+  return false;
+}
+
+
+/**
+ * Indicates whether an expression accesses the `Function` constructor through the prototype of a
+ * function, e.g. `(() => {}).constructor` or `Object.getPrototypeOf(async function () {}).constructor`
+ * @param   {Object}  node The expression node
+ * @returns {boolean}      true if the expression accesses the `Function` constructor, else false
+ */
+function isFunctionConstructorAccess(node) {
+  const isFunctionExpression = (expression) => expression.type === NodeTypes.FunctionExpression ||
+                                               expression.type === NodeTypes.ArrowFunctionExpression;
+  if (node.type !== NodeTypes.MemberExpression || propertyName(node) !== 'constructor') {
+    return false;
+  }
+  if (isFunctionExpression(node.object)) {
+    return true;
+  }
+  // Object.getPrototypeOf(...) or Reflect.getPrototypeOf(...)
+  return (node.object.type === NodeTypes.CallExpression &&
+          node.object.callee.type === NodeTypes.MemberExpression &&
+          propertyName(node.object.callee) === 'getPrototypeOf' &&
+          node.object.arguments.length > 0 &&
+          isFunctionExpression(node.object.arguments[0]));
+}
+
+
+/**
+ * Track dynamic code execution, i.e. uses of `eval`, `Function`, the compiling members of
+ * `WebAssembly` and timers with a string callback, including indirect forms like `(0, eval)(code)`
+ * and `globalThis['ev' + 'al']`. The accesses are recorded by the form of dynamic code execution.
+ * @param {Object}       node        The current node of the AST
+ * @param {String}       type        The type of the current node
+ * @param {Environment}  env         The current environment during the AST traversal
+ * @param {Object[]}     ancestors   List of AST ancestor nodes
+ * @param {Identifier[]} dynamicCode List of identifiers of all dynamic code executions
+ */
+function trackDynamicCode(node, type, env, ancestors, dynamicCode) {
+  let name = null;
+  if (type === NodeTypes.Identifier && isGlobal(node, env, ancestors)) {
+    name = node.name;
+  } else if (type === NodeTypes.MemberExpression) {
+    name = globalObjectMemberName(node, env, ancestors);
+  } else if ((type === NodeTypes.CallExpression || type === NodeTypes.NewExpression) && isFunctionConstructorAccess(node.callee)) {
+    dynamicCode.push(new Identifier('Function', node.start, node.end));
+  }
+  if (name === null) {
+    return;
+  }
+  const parent = ancestors[ancestors.length - 2];
+  const isMemberObject = parent !== undefined && parent.type === NodeTypes.MemberExpression && parent.object === node;
+  if (DYNAMIC_CODE_GLOBALS.has(name)) {
+    // `Function.prototype` and `x instanceof Function` do not create functions
+    const isInstanceofOperand = parent !== undefined && parent.type === NodeTypes.BinaryExpression && parent.operator === 'instanceof';
+    if (name === 'eval' || !(isMemberObject || isInstanceofOperand)) {
+      dynamicCode.push(new Identifier(name, node.start, node.end));
+    }
+  } else if (isMemberObject && DYNAMIC_CODE_GLOBAL_MEMBERS.has(`${name}.${propertyName(parent)}`)) {
+    dynamicCode.push(new Identifier(`${name}.${propertyName(parent)}`, parent.start, parent.end));
+  } else if (STRING_CALLBACK_GLOBALS.has(name) &&
+             parent !== undefined &&
+             parent.type === NodeTypes.CallExpression &&
+             parent.callee === node &&
+             parent.arguments.length > 0 &&
+             isStringExpression(parent.arguments[0])) {
+    dynamicCode.push(new Identifier(name, parent.start, parent.end));
+  }
+}
+
+
 /**
  * Get lists of all accesses global objects, and their respective members, for a given AST
  * @param   {Object} node     The root node of the AST
  * @param   {Object} state    Additional state for the AST traversal
  * @param   {String} override Override for the type of the root node
- * @returns {Object}          Object containing a list of the accessed global objects and their members
+ * @returns {Object}          Object containing a list of the accessed global objects, their members, the forms of dynamic code execution and the read environment variables, as well as the identifiers referencing them
  */
 function findGlobalsInAST(node, state, override) {
   let globals = [];
-  let globalMembers = new Set();
+  let globalMembers = [];
+  let dynamicCode = [];
+  let environment = [];
   let ancestors = [];
   let env;
+  const constants = collectConstants(node);
   (function c(node, st, override) {
     let type = override || node.type;
     // Build ancestor array
@@ -188,8 +502,12 @@ function findGlobalsInAST(node, state, override) {
 
     // Track globals and members
     trackVars(node, type, env);
+    // Variables holding the `process` module, see `isProcessObject`
+    trackModuleReferencingVars(node, type, env, constants);
     trackGlobals(node, type, env, ancestors, globals);
     trackGlobalMembers(node, type, env, ancestors, globalMembers);
+    trackDynamicCode(node, type, env, ancestors, dynamicCode);
+    trackEnvironment(node, type, env, ancestors, environment, constants);
 
     // Walk children
     acorn_walk.base[type](node, st, c);
@@ -202,7 +520,19 @@ function findGlobalsInAST(node, state, override) {
   // I *want* to keep the implementation of the list with the identifiers, because i need that for
   // the interpreter implementation, however the policy only needs a set of the modules itself.
   const globalsSet = new Set(globals.map((identifier) => identifier.name));
-  return {globals: globalsSet, globalMembers: globalMembers};
+  const globalMembersSet = new Set(globalMembers.map((identifier) => identifier.name));
+  const dynamicCodeSet = new Set(dynamicCode.map((identifier) => identifier.name));
+  const environmentSet = new Set(environment.map((identifier) => identifier.name));
+  return {
+    globals: globalsSet,
+    globalMembers: globalMembersSet,
+    dynamicCode: dynamicCodeSet,
+    environment: environmentSet,
+    identifiers: globals,
+    memberIdentifiers: globalMembers,
+    dynamicCodeIdentifiers: dynamicCode,
+    environmentIdentifiers: environment
+  };
 }
 
 
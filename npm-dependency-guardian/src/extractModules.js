@@ -5,44 +5,220 @@ const {
   trackVars,
   NodeTypes,
 } = require('./astUtils.js')
+const {
+  collectConstants,
+  patternMemberChains,
+  staticMemberChain,
+  staticPropertyName,
+  staticStringValue
+} = require('./constantFolding.js')
+const { GLOBAL_OBJECT_NAMES, UNRESOLVED_REQUIRE, isDynamicCodeModuleMember } = require('./dynamicCode.js')
+const { capabilityPath, capabilityPrefixes } = require('./memberPaths.js')
 
 require('./acornWalkPatch.js')
 
 
+// Member paths of functions that load modules like `require`, e.g. `module.require('fs')`. The paths
+// may be prefixed with the global object, e.g. `globalThis.process.mainModule.require`.
+const LOADER_PATHS = new Set([
+  'require',
+  'module.require',
+  'module.parent.require',
+  'process.mainModule.require',
+  'require.main.require'
+]);
+
+// Scheme of the specifiers of built-in modules, e.g. `node:fs`
+const BUILTIN_SCHEME = 'node:';
+
+/**
+ * Get the name under which an imported module is recorded: built-in modules are recorded by their bare
+ * names, e.g. `fs` for `node:fs`, as the policy lists them
+ * @param   {String} specifier The specifier of the module
+ * @returns {String}           The name of the module
+ */
+function moduleName(specifier) {
+  return specifier.startsWith(BUILTIN_SCHEME) ? specifier.slice(BUILTIN_SCHEME.length) : specifier;
+}
+
+/**
+ * Get the dotted path of a chain of identifiers and member accesses, e.g. `process.mainModule.require`
+ * @param   {Object}              node      The node
+ * @param   {Map<String, Object>} constants The constant variables of the AST
+ * @returns {String?}                       The path, or null if the node is no such chain
+ */
+function memberPath(node, constants) {
+  if (node.type === NodeTypes.Identifier) {
+    return node.name;
+  }
+  if (node.type !== NodeTypes.MemberExpression) {
+    return null;
+  }
+  const object = memberPath(node.object, constants);
+  const property = node.computed ? staticStringValue(node.property, constants) : node.property.name;
+  return object !== null && property !== null ? `${object}.${property}` : null;
+}
+
+/**
+ * Indicates whether a node is a call of `createRequire`, which returns a require function
+ * @param   {Object}  node The node
+ * @returns {boolean}      true if the node calls `createRequire` or a `createRequire` member, else false
+ */
+function isCreateRequireCall(node) {
+  return (node.type === NodeTypes.CallExpression &&
+          ((node.callee.type === NodeTypes.Identifier && node.callee.name === 'createRequire') ||
+           (node.callee.type === NodeTypes.MemberExpression && !node.callee.computed && node.callee.property.name === 'createRequire')));
+}
+
+/**
+ * Indicates whether a node references a function that loads modules: `require`, the other members in
+ * LOADER_PATHS, `Module._load` (however the Module class is reached, e.g. `module.constructor._load`),
+ * require functions created by `createRequire`, and constant variables holding any of these, e.g. `r`
+ * in `const r = require`
+ * @param   {Object}              node      The node
+ * @param   {Map<String, Object>} constants The constant variables of the AST
+ * @param   {number}              depth     The number of resolved constant variables, which stops reference cycles
+ * @returns {boolean}                       true if the node references a module loader, else false
+ */
+function isModuleLoader(node, constants, depth = 0) {
+  // e.g. `createRequire(import.meta.url)('fs')` or `const require = createRequire(__filename)`
+  if (isCreateRequireCall(node)) {
+    return true;
+  }
+  if (node.type === NodeTypes.Identifier && constants.has(node.name) && depth < constants.size) {
+    return isModuleLoader(constants.get(node.name), constants, depth + 1);
+  }
+  // e.g. `(0, require)('fs')`
+  if (node.type === NodeTypes.SequenceExpression) {
+    return isModuleLoader(node.expressions[node.expressions.length - 1], constants, depth);
+  }
+  if (node.type === NodeTypes.MemberExpression &&
+      (node.computed ? staticStringValue(node.property, constants) : node.property.name) === '_load') {
+    return true;
+  }
+  const path = memberPath(node, constants);
+  if (path === null) {
+    return false;
+  }
+  const [root, ...members] = path.split('.');
+  return LOADER_PATHS.has(path) || (GLOBAL_OBJECT_NAMES.has(root) && LOADER_PATHS.has(members.join('.')));
+}
+
+/**
+ * Get the specifier node of a call that loads a module, e.g. `require('fs')`, `module.require('fs')`
+ * or `require.call(null, 'fs')`
+ * @param   {Object?}             node      The node
+ * @param   {Map<String, Object>} constants The constant variables of the AST
+ * @returns {Object?}                       The specifier node, or null if the node loads no module
+ */
+function loadedSpecifier(node, constants) {
+  if (!node || (node.type !== NodeTypes.CallExpression && node.type !== NodeTypes.NewExpression)) {
+    return null;
+  }
+  const { callee } = node;
+  if (isModuleLoader(callee, constants)) {
+    return node.arguments[0] || null;
+  }
+  if (callee.type !== NodeTypes.MemberExpression || callee.computed || !isModuleLoader(callee.object, constants)) {
+    return null;
+  }
+  // e.g. `require.call(null, 'fs')` or `require.apply(null, ['fs'])`
+  if (callee.property.name === 'call') {
+    return node.arguments[1] || null;
+  }
+  if (callee.property.name === 'apply' && node.arguments.length > 1 && node.arguments[1].type === NodeTypes.ArrayExpression) {
+    return node.arguments[1].elements[0] || null;
+  }
+  return null;
+}
+
+/**
+ * Get the module that a node loads, if it is a call of a module loader (see `loadedSpecifier`) whose
+ * specifier is known before runtime, e.g. `require('fs')` or `module.require('f' + 's')`
+ * @param   {Object?}             node      The node
+ * @param   {Map<String, Object>} constants The constant variables of the AST, see `collectConstants`
+ * @returns {String?}                       The specifier of the required module, or null
+ */
+function requiredModule(node, constants) {
+  const specifier = loadedSpecifier(node, constants);
+  const name = specifier === null ? null : staticStringValue(specifier, constants);
+  return name === null ? null : moduleName(name);
+}
+
+/**
+ * Get the nodes through which a node passes a module loader on as a value, e.g. `require` in
+ * `const r = require; r(name)` or `load(require)`. Calls through such values can't be told apart from
+ * other calls, except for constant variables holding the loader, whose calls are module loader calls
+ * (see `isModuleLoader`).
+ * @param   {Object}              node      The node
+ * @param   {Map<String, Object>} constants The constant variables of the AST
+ * @returns {Object[]}                      The module loaders passed on by the node
+ */
+function passedModuleLoaders(node, constants) {
+  let values;
+  switch (node.type) {
+    case NodeTypes.VariableDeclarator:
+      values = node.init === null || (node.id.type === NodeTypes.Identifier && constants.get(node.id.name) === node.init) ? [] : [node.init];
+      break;
+    case NodeTypes.AssignmentExpression:
+      values = [node.right];
+      break;
+    case NodeTypes.CallExpression:
+    case NodeTypes.NewExpression:
+      values = node.arguments.slice();
+      // e.g. `require.bind(null)`
+      if (node.callee.type === NodeTypes.MemberExpression && staticPropertyName(node.callee, constants) === 'bind') {
+        values.push(node.callee.object);
+      }
+      break;
+    case NodeTypes.ObjectExpression:
+      values = node.properties.filter((property) => property.type === NodeTypes.Property).map((property) => property.value);
+      break;
+    case NodeTypes.ArrayExpression:
+      values = node.elements.filter((element) => element !== null);
+      break;
+    case NodeTypes.ReturnStatement:
+      values = node.argument === null ? [] : [node.argument];
+      break;
+    case NodeTypes.ArrowFunctionExpression:
+      values = node.expression ? [node.body] : [];
+      break;
+    default:
+      values = [];
+  }
+  return values.filter((value) => isModuleLoader(value, constants));
+}
+
 /**
  * Indicates whether a VariableDeclarator represents a call of the require function (which would
  * mean that a module is imported)
- * @param   {Object} declarator The VariableDeclarator
- * @returns {boolean}           true, if the declarator is coming from a require call
+ * @param   {Object}              declarator The VariableDeclarator
+ * @param   {Map<String, Object>} constants  The constant variables of the AST
+ * @returns {boolean}                        true, if the declarator is coming from a require call
  */
-function validRequireCall(declarator) {
-  // Variable declaration is initialized from a require call with a string literal first argument,
-  // assigned to an identifier (instead of e.g. object- or array-pattern)
-  return (declarator.init &&
-          declarator.id.type === NodeTypes.Identifier &&
-          (declarator.init.type === NodeTypes.CallExpression || declarator.init.type === NodeTypes.NewExpression) &&
-          declarator.init.callee.type === NodeTypes.Identifier &&
-          declarator.init.callee.name === 'require' &&
-          declarator.init.arguments.length > 0 &&
-          declarator.init.arguments[0].type === NodeTypes.Literal &&
-          typeof(declarator.init.arguments[0].value) === 'string')
+function validRequireCall(declarator, constants) {
+  // Variable declaration is initialized from a require call with a known specifier, assigned to an
+  // identifier (instead of e.g. object- or array-pattern)
+  return (declarator.id.type === NodeTypes.Identifier &&
+          requiredModule(declarator.init, constants) !== null)
 }
 
 
 // TODO: delete variable reference on assignment that overwrites an existing modrefvar
 /**
  * Tracks variables referencing built-in modules while traversing an AST
- * @param {Object}      node The current AST node
- * @param {String}      type The type of the current node
- * @param {Environment} env  The current environment
+ * @param {Object}              node      The current AST node
+ * @param {String}              type      The type of the current node
+ * @param {Environment}         env       The current environment
+ * @param {Map<String, Object>} constants The constant variables of the AST
  */
-function trackModuleReferencingVars(node, type, env) {
+function trackModuleReferencingVars(node, type, env, constants) {
   switch (type) {
     case NodeTypes.VariableDeclaration:
       for (const variableDeclarator of node.declarations) {
-        if (validRequireCall(variableDeclarator)) {
+        if (validRequireCall(variableDeclarator, constants)) {
           const envVar = env.getVarNamed(variableDeclarator.id.name);
-          envVar.setModule(variableDeclarator.init.arguments[0].value)
+          envVar.setModule(requiredModule(variableDeclarator.init, constants))
         // Assign variable to other module referencing variable
         } else if (variableDeclarator.init &&
                    variableDeclarator.id.type === NodeTypes.Identifier &&
@@ -61,7 +237,7 @@ function trackModuleReferencingVars(node, type, env) {
           if (specifier.type === NodeTypes.ImportDefaultSpecifier ||
               specifier.type === NodeTypes.ImportNamespaceSpecifier) {
             const envVar = env.getVarNamed(specifier.local.name);
-            envVar.setModule(node.source.value);
+            envVar.setModule(moduleName(node.source.value));
           }
         }
       }
@@ -69,6 +245,42 @@ function trackModuleReferencingVars(node, type, env) {
   }
 }
 
+/**
+ * Get the module that a node references: the module of a module referencing variable, or the module
+ * loaded by a require call
+ * @param   {Object}              node      The node
+ * @param   {Environment}         env       The current environment
+ * @param   {Map<String, Object>} constants The constant variables of the AST
+ * @returns {String?}                       The specifier of the module, or null if the node references none
+ */
+function referencedModule(node, env, constants) {
+  if (node.type === NodeTypes.Identifier) {
+    const modRefVar = env.getModRefVarNamed(node.name);
+    return modRefVar === null ? null : modRefVar.module;
+  }
+  return requiredModule(node, constants);
+}
+
+/**
+ * Indicates whether a member expression is continued by its parent, i.e. is the object of a member
+ * access whose name is known before runtime, e.g. `fs.promises` in `fs.promises.readFile`, or is
+ * destructured, e.g. `fs.promises` in `const { readFile } = fs.promises`
+ * @param   {Object}              node      The member expression node
+ * @param   {Object[]}            ancestors List of AST ancestor nodes, ending with the member expression
+ * @param   {Map<String, Object>} constants The constant variables of the AST
+ * @returns {boolean}                       true if the chain of member accesses continues, else false
+ */
+function continuesMemberChain(node, ancestors, constants) {
+  const parent = ancestors[ancestors.length - 2];
+  if (parent !== undefined && parent.type === NodeTypes.VariableDeclarator) {
+    return parent.init === node && parent.id.type !== NodeTypes.Identifier;
+  }
+  return (parent !== undefined &&
+          parent.type === NodeTypes.MemberExpression &&
+          parent.object === node &&
+          staticPropertyName(parent, constants) !== null);
+}
+
 // TODO: we're still not dealing with import expressions
 // implements all possible patterns from https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/import#syntax
 // according to the acorn source, there are only the import specifier types
@@ -79,103 +291,57 @@ function trackModuleReferencingVars(node, type, env) {
 // "ImportNamespaceSpecifier" both import the whole module as the declared variable name.
 /**
  * Keeps track of the accessed module members while traversing an AST
- * @param {Object}      node           The current AST node
- * @param {String}      type           The type of the current node
- * @param {Environment} env            The current environment
- * @param {Set}         memberAccesses The set of accessed module members
+ * @param {Object}              node           The current AST node
+ * @param {String}              type           The type of the current node
+ * @param {Environment}         env            The current environment
+ * @param {Set}                 memberAccesses The set of accessed module members
+ * @param {Map<String, Object>} constants      The constant variables of the AST
+ * @param {Object[]}            ancestors      List of AST ancestor nodes, ending with the current node
  */
-function trackMemberAccess(node, type, env, memberAccesses) {
+function trackMemberAccess(node, type, env, memberAccesses, constants, ancestors) {
   if (type === NodeTypes.ImportDeclaration && node.source.type === NodeTypes.Literal) {
     for (const specifier of node.specifiers) {
       // TODO: check whether this is the only way to instantly get member access from an import
       // declaration
       if (specifier.type === NodeTypes.ImportSpecifier) {
-        memberAccesses.add(`${node.source.value}.${specifier.imported.name}`);
+        memberAccesses.add(`${moduleName(node.source.value)}.${specifier.imported.name}`);
       }
     }
   } else if (type === NodeTypes.ExportNamedDeclaration && node.source !== null && node.source.type === NodeTypes.Literal) {
     for (const specifier of node.specifiers) {
       if (specifier.type === NodeTypes.ExportSpecifier) {
-        memberAccesses.add(`${node.source.value}.${specifier.local.name}`);
+        memberAccesses.add(`${moduleName(node.source.value)}.${specifier.local.name}`);
       }
     }
   } else if (type === NodeTypes.ExportAllDeclaration && node.source !== null && node.source.type === NodeTypes.Literal) {
     console.error(`Re-Exporting all members of module ${node.source.value}. Can't track members!`);
-  } else if (type === NodeTypes.MemberExpression) {
-    // Member access to an existing module referencing var, where the accessed member is a literal
-    // or an identifier
-    if ((node.property.type === NodeTypes.Literal || node.property.type === NodeTypes.Identifier) &&
-        node.object.type === NodeTypes.Identifier) {
-      const modRefVar = env.getModRefVarNamed(node.object.name);
-      if (modRefVar !== null) {
-        memberAccesses.add(`${modRefVar.module}.${node.property.name || node.property.value}`)
-      }
-    // Member access directly to a require call
-    } else if ((node.property.type === NodeTypes.Literal || node.property.type === NodeTypes.Identifier) &&
-               (node.object.type === NodeTypes.CallExpression || node.object.type === NodeTypes.NewExpression) &&
-               node.object.callee.type === NodeTypes.Identifier &&
-               node.object.callee.name === 'require' &&
-               node.object.arguments.length > 0 &&
-               node.object.arguments[0].type === NodeTypes.Literal &&
-               typeof(node.object.arguments[0].name) === 'string') {
-      memberAccesses.add(`${node.object.arguments[0].name}.${node.property.name || node.property.value}`)
+  } else if (type === NodeTypes.MemberExpression && !continuesMemberChain(node, ancestors, constants)) {
+    // The whole chain of member accesses on a module referencing var or directly on a require call,
+    // e.g. `fs.promises.readFile`, is recorded at its last member
+    const { object, members } = staticMemberChain(node, constants);
+    const module = members.length > 0 ? referencedModule(object, env, constants) : null;
+    if (module !== null) {
+      memberAccesses.add(capabilityPath(module, members));
     }
   } else if (type === NodeTypes.VariableDeclaration) {
-    // Array and object pattern from
+    // Object and array patterns, including nested ones, from
     // - require
     // - module referencing variable
+    // - members of either, e.g. `const { readFile } = fs.promises`
     for (const declarator of node.declarations) {
-      if (declarator.id.type === NodeTypes.ObjectPattern) {
-        // object pattern from require call
-        if (declarator.init &&
-            (declarator.init.type === NodeTypes.CallExpression || declarator.init.type == NodeTypes.NewExpression) &&
-            declarator.init.callee.name === 'require' &&
-            declarator.init.arguments.length > 0 &&
-            declarator.init.arguments[0].type === NodeTypes.Literal &&
-            typeof(declarator.init.arguments[0].value) === 'string') {
-          for (const property of declarator.id.properties) {
-            if (property.type === NodeTypes.Property) {
-              memberAccesses.add(`${declarator.init.arguments[0].value}.${property.key.name}`);
-            } else if (property.type === NodeTypes.RestElement) {
-              // TODO: implement me, maybe?
-            } else {
-              throw Error(`Unknown object pattern property type ${property.type}`);
-            }
-          }
-        // object pattern from module referencing variable
-        } else if (declarator.init && declarator.init.type === NodeTypes.Identifier) {
-          const modRefVar = env.getModRefVarNamed(declarator.init.name);
-          if (modRefVar !== null) {
-            for (const property of declarator.id.properties) {
-              if (property.type === NodeTypes.Property) {
-                memberAccesses.add(`${modRefVar.module}.${property.key.name}`);
-              } else if (property.type === NodeTypes.RestElement) {
-                // TODO: implement me, maybe?
-              } else {
-                throw Error(`Unknown object pattern property type ${property.type}`);
-              }
-            }
-          }
-        }
-      } else if (declarator.id.type === NodeTypes.ArrayPattern) {
-        // array pattern from require call
-        if (declarator.init &&
-            (declarator.init.type === NodeTypes.CallExpression || declarator.init.type === NodeTypes.NewExpression) &&
-            declarator.init.callee.name === 'require' &&
-            declarator.init.arguments.length > 0 &&
-            declarator.init.arguments[0].type === NodeTypes.Literal &&
-            typeof(declarator.init.arguments[0].value) === 'string') {
-          for (let i = 0; i < declarator.id.elements.length; ++i) {
-            memberAccesses.add(`${declarator.init.name}.${i}`);
-          }
-        // array pattern from module referencing variable
-        } else if (declarator.init && declarator.init.type === NodeTypes.Identifier) {
-          const modRefVar = env.getModRefVarNamed(declarator.init.name);
-          if (modRefVar !== null) {
-            for (let i = 0; i < declarator.id.elements.length; ++i) {
-              memberAccesses.add(`${modRefVar.module}.${i}`);
-            }
-          }
+      if ((declarator.id.type !== NodeTypes.ObjectPattern && declarator.id.type !== NodeTypes.ArrayPattern) ||
+          !declarator.init) {
+        continue;
+      }
+      const { object, members } = declarator.init.type === NodeTypes.MemberExpression ?
+        staticMemberChain(declarator.init, constants) : { object: declarator.init, members: [] };
+      const module = referencedModule(object, env, constants);
+      if (module === null) {
+        continue;
+      }
+      for (const chain of patternMemberChains(declarator.id, constants)) {
+        if (members.length + chain.length > 0) {
+          memberAccesses.add(capabilityPath(module, members.concat(chain)));
         }
       }
     }
@@ -185,13 +351,15 @@ function trackMemberAccess(node, type, env, memberAccesses) {
 /**
  * Get all the members of modules that are accessed in a given AST
  * Inspired by acorn-walk.ancestor
- * @param   {Object} node The AST
- * @returns {Set}         The set of accessed module members
+ * @param   {Object}    node        The AST
+ * @param   {Object[]?} occurrences If given, an object with the `name` of the member and the `start` and `end` position of the accessing node is added for every access
+ * @returns {Set}                   The set of accessed module members
  */
-function extractMemberAccesses(node) {
+function extractMemberAccesses(node, occurrences = null) {
   let ancestors = [];
   let env;
   const memberAccesses = new Set();
+  const constants = collectConstants(node);
   // this needs (node, st, override) as params because that's how the acorn base walker calls the
   // function recursively
   (function c(node, st, override) {
@@ -203,8 +371,18 @@ function extractMemberAccesses(node) {
     let prev_env = env;
     env = trackScope(node, type, ancestors, env);
     trackVars(node, type, env);
-    trackModuleReferencingVars(node, type, env);
-    trackMemberAccess(node, type, env, memberAccesses);
+    trackModuleReferencingVars(node, type, env, constants);
+    if (occurrences === null) {
+      trackMemberAccess(node, type, env, memberAccesses, constants, ancestors);
+    } else {
+      const currentNode = node;
+      trackMemberAccess(node, type, env, {
+        add(memberAccess) {
+          memberAccesses.add(memberAccess);
+          occurrences.push({ name: memberAccess, start: currentNode.start, end: currentNode.end });
+        }
+      }, constants, ancestors);
+    }
     // Recursively traverse children
     acorn_walk.base[type](node, st, c);
     // Exit environment
@@ -217,57 +395,145 @@ function extractMemberAccesses(node) {
   return memberAccesses;
 }
 
+/**
+ * Get all the members of built-in modules that compile code (e.g. `vm.runInThisContext`) and are
+ * accessed in a given AST. Unlike other module members, these are tracked without member access
+ * tracing, as they are a form of dynamic code execution.
+ * @param   {Object}    ast         The AST
+ * @param   {Object[]?} occurrences If given, an object with the `name` of the member and the `start` and `end` position of the accessing node is added for every access
+ * @returns {Set}                   The set of accessed module members that compile code
+ */
+function extractDynamicCodeAccesses(ast, occurrences = null) {
+  const memberOccurrences = [];
+  extractMemberAccesses(ast, memberOccurrences);
+  const dynamicCodeAccesses = new Set();
+  for (const occurrence of memberOccurrences) {
+    // e.g. `vm.Script` for `vm.Script.prototype.runInThisContext`
+    const name = capabilityPrefixes(occurrence.name).find(isDynamicCodeModuleMember);
+    if (name !== undefined) {
+      dynamicCodeAccesses.add(name);
+      if (occurrences !== null) {
+        occurrences.push(Object.assign({}, occurrence, { name: name }));
+      }
+    }
+  }
+  return dynamicCodeAccesses;
+}
+
 // Everything above this line is member access tracing
 
 
+// Variables holding the path of the current module, from which local files are required
+const MODULE_PATH_NAMES = new Set(['__dirname', '__filename']);
+
+// Functions of the path module that build the path of a local file from their first argument
+const PATH_FUNCTIONS = new Set(['join', 'resolve']);
+
 /**
- * Get all the modules that are imported in a given AST
- * @param   {Object} ast The AST
- * @returns {Set}        Set containing the imported modules
+ * Indicates whether the specifier of a require call or import expression refers to a local file, even
+ * though its complete value is unknown before runtime, e.g. `require('./locales/' + language)` or
+ * `require(path.join(__dirname, name))`. Only the leftmost part of the specifier is inspected.
+ * @param   {Object}              node      The specifier node
+ * @param   {Map<String, Object>} constants The constant variables of the AST
+ * @param   {number}              depth     The number of resolved constant variables, which stops reference cycles
+ * @returns {boolean}                       true if the specifier refers to a local file, else false
  */
-function extractImportsFromAST(ast) {
+function isLocalSpecifier(node, constants, depth = 0) {
+  switch (node.type) {
+    case NodeTypes.Literal:
+      return typeof(node.value) === 'string' && (node.value.startsWith('.') || node.value.startsWith('/'));
+    case NodeTypes.TemplateLiteral:
+      if (node.quasis[0].value.cooked !== '') {
+        return isLocalSpecifier({ type: NodeTypes.Literal, value: node.quasis[0].value.cooked }, constants, depth);
+      }
+      return node.expressions.length > 0 && isLocalSpecifier(node.expressions[0], constants, depth);
+    case NodeTypes.BinaryExpression:
+      return node.operator === '+' && isLocalSpecifier(node.left, constants, depth);
+    case NodeTypes.Identifier:
+      if (MODULE_PATH_NAMES.has(node.name)) {
+        return true;
+      }
+      return constants.has(node.name) && depth < constants.size && isLocalSpecifier(constants.get(node.name), constants, depth + 1);
+    case NodeTypes.CallExpression:
+      return (node.callee.type === NodeTypes.MemberExpression &&
+              node.callee.object.type === NodeTypes.Identifier &&
+              node.callee.object.name === 'path' &&
+              PATH_FUNCTIONS.has(node.callee.property.name) &&
+              node.arguments.length > 0 &&
+              isLocalSpecifier(node.arguments[0], constants, depth));
+  }
+  return false;
+}
+
+/**
+ * Get all the modules that are imported in a given AST, by import declarations, `import()` expressions
+ * and calls of module loaders (see `loadedSpecifier`).
+ * The specifiers of require calls and import expressions are folded if they are built from constant
+ * parts (see `staticStringValue`). Specifiers that can't be determined before runtime and don't refer
+ * to a local file are recorded as the UNRESOLVED_REQUIRE module, as are module loaders passed on as
+ * values (see `passedModuleLoaders`). Built-in modules are recorded without the `node:` scheme.
+ * @param   {Object}    ast         The AST
+ * @param   {Object[]?} occurrences If given, an object with the `name` of the module and the `start` and `end` position of the importing node is added for every import
+ * @returns {Set}                   Set containing the imported modules
+ */
+function extractImportsFromAST(ast, occurrences = null) {
   let imports = new Set();
+  const constants = collectConstants(ast);
+  const addImport = (specifier, node) => {
+    const name = moduleName(specifier);
+    imports.add(name);
+    if (occurrences !== null) {
+      occurrences.push({ name: name, start: node.start, end: node.end });
+    }
+  };
+  const addDynamicImport = (specifier, node) => {
+    const name = staticStringValue(specifier, constants);
+    if (name !== null) {
+      addImport(name, node);
+    } else if (!isLocalSpecifier(specifier, constants)) {
+      addImport(UNRESOLVED_REQUIRE, node);
+    }
+  };
+  const addRequire = (node) => {
+    const specifier = loadedSpecifier(node, constants);
+    if (specifier !== null) {
+      addDynamicImport(specifier, node);
+    }
+  };
+  const addPassedModuleLoaders = (node) => {
+    for (const loader of passedModuleLoaders(node, constants)) {
+      addImport(UNRESOLVED_REQUIRE, loader);
+    }
+  };
   acorn_walk.simple(ast, {
     NewExpression(node) {
-      if (node.callee.type === NodeTypes.Identifier) {
-        if (node.callee.name === 'require') {
-          if (node.arguments.length >= 1 && node.arguments[0].type == 'Literal') {
-            imports.add(node.arguments[0].value);
-          } else {
-            console.error('Called require with', node.arguments.map((node) => node.type));
-          }
-        }
-      }
+      addRequire(node);
+      addPassedModuleLoaders(node);
     },
     CallExpression(node) {
-      if (node.callee.type === NodeTypes.Identifier) {
-        if (node.callee.name === 'require') {
-          if (node.arguments.length >= 1 && node.arguments[0].type == 'Literal') {
-            imports.add(node.arguments[0].value);
-          } else {
-            console.error('Called require with', node.arguments.map((node) => node.type));
-          }
-        }
-      }
+      addRequire(node);
+      addPassedModuleLoaders(node);
     },
+    VariableDeclarator: addPassedModuleLoaders,
+    AssignmentExpression: addPassedModuleLoaders,
+    ObjectExpression: addPassedModuleLoaders,
+    ArrayExpression: addPassedModuleLoaders,
+    ReturnStatement: addPassedModuleLoaders,
+    ArrowFunctionExpression: addPassedModuleLoaders,
     ImportDeclaration(node) {
       if (node.source.type == 'Literal') {
-        imports.add(node.source.value);
+        addImport(node.source.value, node);
       } else {
         console.error(`Import statement with source ${node.source}`);
       }
     },
     ImportExpression(node) {
-      if (node.source.type == 'Literal') {
-        imports.add(node.source.value);
-      } else {
-        console.error(`Import expression with source ${node.source}`);
-      }
+      addDynamicImport(node.source, node);
     },
     ExportNamedDeclaration(node) {
       if (node.source !== null) {
         if (node.source.type === NodeTypes.Literal) {
-          imports.add(node.source.value);
+          addImport(node.source.value, node);
         } else {
           console.error(`Export statement with source ${node.source}`);
         }
@@ -275,7 +541,7 @@ function extractImportsFromAST(ast) {
     },
     ExportAllDeclaration(node) {
       if (node.source.type === NodeTypes.Literal) {
-        imports.add(node.source.value);
+        addImport(node.source.value, node);
       } else {
         console.error(`Export statement with source ${node.source}`);
       }
@@ -287,4 +553,7 @@ function extractImportsFromAST(ast) {
 module.exports = {
   extractImports: extractImportsFromAST,
   extractMemberAccesses: extractMemberAccesses,
+  extractDynamicCodeAccesses: extractDynamicCodeAccesses,
+  requiredModule: requiredModule,
+  trackModuleReferencingVars: trackModuleReferencingVars,
 }
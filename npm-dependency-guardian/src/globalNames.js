@@ -3,7 +3,7 @@
 // and the MDN docs at
 // https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects
 // and does contain experimental globals for now!
-globals = new Set(
+const globals = new Set(
   ['AbortController',
    'AggregateError',
    'Array',
@@ -3,15 +3,28 @@
 const path = require('path');
 const fs = require('fs');
 const mod = require('node:module');
+const os = require('os');
 
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
 const argv = yargs(hideBin(process.argv)).argv;
 
-const { getDependencyMap } = require('./dependencyGraph.js');
+const { getDependencyChain, getDependencyMap, getVersionMap } = require('./dependencyGraph.js');
 const { buildTree, MemberAccess } = require('./astUtils');
-const { extractImports, extractMemberAccesses } = require('./extractModules');
+const { extractDynamicCodeAccesses, extractImports, extractMemberAccesses } = require('./extractModules');
 const { extractGlobals } = require('./extractGlobals')
+const { packageFromPath, packageKey, packageNameFromPath, parsePackageKey } = require('./packageIdentity.js');
+const { diffFindings, policyFindings } = require('./policyDiff.js');
+const { mergePolicies } = require('./policyMerge.js');
+const { applyOverrides } = require('./overrides.js');
+const { recordReviews, removeUnapprovedCapabilities, reviewFindings, wasRejected } = require('./review.js');
+const { CAPABILITY_KINDS, extendClassification, riskScores } = require('./categories.js');
+const { SEVERITY_LEVELS, severityAtLeast } = require('./severity.js');
+const { addEvidence, attachEvidence, formatEvidence, mergeEvidence, sourceLocation } = require('./evidence.js');
+const { createSarifLog } = require('./sarif.js');
+const { readRecordings, recordedPolicy } = require('./recording.js');
+const { UNRESOLVED_REQUIRE } = require('./dynamicCode.js');
+const { coversCapability } = require('./memberPaths.js');
 const { log } = require('./colorLog');
 require('./setUtils.js'); // adds `union` and `intersection` to Set prototype
 
@@ -19,9 +32,42 @@ require('./setUtils.js'); // adds `union` and `intersection` to Set prototype
 // This implies that the node version running this script, and the node version later
 // executing the software are using the same node version (or one with compatible builtins)
 const NATIVE_MODULES = new Set(mod.builtinModules);
+// Modules that are kept when the imports of a package are restricted to built-in modules
+const TRACKED_MODULES = new Set(NATIVE_MODULES).add(UNRESOLVED_REQUIRE);
 
 let POLICY_PATH = "/tmp/node_policy.json";
 let OLD_POLICY_PATH = "/tmp/node_policy.json.old";
+// Name of the override file that is used if it exists in the root package and no path is given
+const DEFAULT_OVERRIDES_FILE_NAME = "guardian-overrides.json";
+
+/**
+ * Exit codes of the `check` and `diff` commands
+ */
+const EXIT_CODES = {
+  noChange: 0,
+  newCapabilities: 1,
+  analysisErrors: 2
+};
+
+// Colors of the console output of policy diffs, by the kind of change
+const FINDING_COLORS = {
+  packageAdded: 'brightYellow',
+  packageRemoved: 'brightBlue',
+  capabilityAdded: 'brightRed',
+  capabilityRemoved: 'brightGreen'
+};
+
+// Errors that occurred while analysing the packages, e.g. files that could not be parsed
+const analysisErrors = [];
+
+/**
+ * Report an error that occurred while analysing the packages
+ * @param {String} message Description of the error
+ */
+function reportAnalysisError(message) {
+  console.error(message);
+  analysisErrors.push(message);
+}
 
 /**
  * Indicate whether a filename has a JavaScript file extension
@@ -33,16 +79,19 @@ function isJsFileName(name) {
 }
 
 /**
- * Get the Paths to all JS files within the given directory tree
- * @param   {String}   dirPath Path to the "root" directory to search in
- * @returns {String[]}         List of JS file paths
+ * Get the Paths to all JS files within the given directory tree. Directories belonging to another
+ * package (e.g. workspace packages inside the root package) are skipped.
+ * @param   {String}   dirPath     Path to the "root" directory to search in
+ * @param   {String?}  packageName Name of the package the directory tree belongs to
+ * @returns {String[]}             List of JS file paths
  */
-function recursiveGetJSFilePaths(dirPath) {
+function recursiveGetJSFilePaths(dirPath, packageName = packageNameFromPath(dirPath)) {
   let jsFilePaths = new Array();
   fs.readdirSync(dirPath, { withFileTypes: true }).forEach((dirEntry) => {
     let fullPath = path.join(dirPath, dirEntry.name);
-    if (dirEntry.isDirectory() && dirEntry.name.split('/').pop() != 'node_modules') {
-      jsFilePaths = jsFilePaths.concat(recursiveGetJSFilePaths(fullPath));
+    if (dirEntry.isDirectory() && dirEntry.name.split('/').pop() != 'node_modules' &&
+        packageNameFromPath(fullPath) === packageName) {
+      jsFilePaths = jsFilePaths.concat(recursiveGetJSFilePaths(fullPath, packageName));
     } else if (dirEntry.isFile() && isJsFileName(dirEntry.name)) {
       jsFilePaths.push(fullPath);
     }
@@ -51,12 +100,13 @@ function recursiveGetJSFilePaths(dirPath) {
 }
 
 /**
- * Remove the first line of a given string
- * @param   {String} text The string
- * @returns {String}      The string, with the first line removed
+ * Read the source code of a JavaScript file. A shebang line is blanked out instead of removed, so that
+ * positions in the AST match the positions in the file.
+ * @param   {String} filePath Path to the JS file
+ * @returns {String}          The source code
  */
-function removeFirstLine(text) {
-  return text.split('\n').splice(1).join('\n');
+function readSource(filePath) {
+  return fs.readFileSync(filePath).toString().replace(/^#!.*/, '');
 }
 
 /**
@@ -66,67 +116,123 @@ function removeFirstLine(text) {
  * @returns {Object}            The resulting AST
  */
 function getASTFromPath(filePath, locations) {
-    let content = fs.readFileSync(filePath).toString();
-    if (content.startsWith('#!')) {
-      content = removeFirstLine(content);
-    }
-    return buildTree(content, locations);
+    return buildTree(readSource(filePath), locations);
 }
 
 /**
- * Get all modules and global objects that JavaScript files of a given package access
+ * Get all modules and global objects that JavaScript files of a given package access, the forms of
+ * dynamic code execution they use and the environment variables they read
  * @param   {String}  packagePath          Path to the package
  * @param   {boolean} includeCustomModules true, if access to third-party modules should be tracked. Only used for evaluation
  * @param   {boolean} locations            true, if the resulting AST and thus the module objects should include source code locations
- * @returns {Object}                       Object containing the accessed modules and global objects
+ * @param   {boolean} recordEvidence       true, if the source locations of the accesses should be recorded
+ * @returns {Object}                       Object containing the accessed modules and global objects, the dynamic code execution and the read environment variables, and if requested the `evidence` mapping them to source locations
  */
-function getAccessesForPackage(packagePath, includeCustomModules, locations) {
+function getAccessesForPackage(packagePath, includeCustomModules, locations, recordEvidence) {
   let jsFilePaths = recursiveGetJSFilePaths(packagePath);
   let modules = new Set();
   let globals = new Set();
+  let dynamicCode = new Set();
+  let environment = new Set();
+  const evidence = { modules: {}, globals: {}, dynamicCode: {}, environment: {} };
   for (const filePath of jsFilePaths) {
-    const ast = getASTFromPath(filePath, locations);
+    const source = readSource(filePath);
+    const ast = buildTree(source, locations);
     if (ast === null) {
-      console.error(`Could not build tree for file ${filePath}.`);
+      reportAnalysisError(`Could not build tree for file ${filePath}.`);
       continue;
     }
-    let fileModules = extractImports(ast);
-    let { globals: fileGlobals } = extractGlobals(ast);
+    const occurrences = recordEvidence ? [] : null;
+    const dynamicCodeOccurrences = recordEvidence ? [] : null;
+    let fileModules = extractImports(ast, occurrences);
+    let {
+      globals: fileGlobals,
+      dynamicCode: fileDynamicCode,
+      environment: fileEnvironment,
+      identifiers,
+      dynamicCodeIdentifiers,
+      environmentIdentifiers
+    } = extractGlobals(ast);
+    const fileDynamicCodeAccesses = extractDynamicCodeAccesses(ast, dynamicCodeOccurrences);
     modules = modules.union(fileModules);
     globals = globals.union(fileGlobals);
+    dynamicCode = dynamicCode.union(fileDynamicCode).union(fileDynamicCodeAccesses);
+    environment = environment.union(fileEnvironment);
+    if (recordEvidence) {
+      for (const occurrence of occurrences) {
+        addEvidence(evidence.modules, occurrence.name, filePath, source, occurrence.start);
+      }
+      for (const identifier of identifiers) {
+        addEvidence(evidence.globals, identifier.name, filePath, source, identifier.start);
+      }
+      for (const occurrence of dynamicCodeIdentifiers.concat(dynamicCodeOccurrences)) {
+        addEvidence(evidence.dynamicCode, occurrence.name, filePath, source, occurrence.start);
+      }
+      for (const identifier of environmentIdentifiers) {
+        addEvidence(evidence.environment, identifier.name, filePath, source, identifier.start);
+      }
+    }
   }
   if (!includeCustomModules) {
-    modules = modules.intersection(NATIVE_MODULES);
+    modules = modules.intersection(TRACKED_MODULES);
   }
-  return { modules: modules, globals: globals };
+  if (!recordEvidence) {
+    return { modules: modules, globals: globals, dynamicCode: dynamicCode, environment: environment };
+  }
+  for (const module of Object.keys(evidence.modules)) {
+    if (!modules.has(module)) {
+      delete evidence.modules[module];
+    }
+  }
+  return { modules: modules, globals: globals, dynamicCode: dynamicCode, environment: environment, evidence: evidence };
 }
 
 /**
  * Get all members that JavaScript files of a given package access
- * @param   {String}  packagePath Path to the package
- * @param   {boolean} locations   true if the resulting AST, and thus the member access objects, should include source code locations
- * @returns {Object}              Object containing the accessed members
+ * @param   {String}  packagePath    Path to the package
+ * @param   {boolean} locations      true if the resulting AST, and thus the member access objects, should include source code locations
+ * @param   {boolean} recordEvidence true, if the source locations of the accesses should be recorded
+ * @returns {Object}                 Object containing the accessed members, and if requested the `evidence` mapping them to source locations
  */
-function getMemberAccessesForPackage(packagePath, locations) {
+function getMemberAccessesForPackage(packagePath, locations, recordEvidence) {
   const jsFilePaths = recursiveGetJSFilePaths(packagePath);
   let moduleMemberAccesses = new Set();
   let globalMemberAccesses = new Set();
+  const evidence = { moduleMembers: {}, globalMembers: {} };
   for (const filePath of jsFilePaths) {
-    const ast = getASTFromPath(filePath, locations);
+    const source = readSource(filePath);
+    const ast = buildTree(source, locations);
     if (ast === null) {
-      console.error(`Could not build tree for file ${filePath}.`);
+      reportAnalysisError(`Could not build tree for file ${filePath}.`);
       continue;
     }
-    let fileModuleMemberAccesses = extractMemberAccesses(ast);
-    let { globalMembers: fileGlobalMemberAccesses } = extractGlobals(ast);
+    const occurrences = recordEvidence ? [] : null;
+    let fileModuleMemberAccesses = extractMemberAccesses(ast, occurrences);
+    let { globalMembers: fileGlobalMemberAccesses, memberIdentifiers } = extractGlobals(ast);
     moduleMemberAccesses = moduleMemberAccesses.union(fileModuleMemberAccesses);
     globalMemberAccesses = globalMemberAccesses.union(fileGlobalMemberAccesses);
+    if (recordEvidence) {
+      for (const occurrence of occurrences) {
+        addEvidence(evidence.moduleMembers, occurrence.name, filePath, source, occurrence.start);
+      }
+      for (const identifier of memberIdentifiers) {
+        addEvidence(evidence.globalMembers, identifier.name, filePath, source, identifier.start);
+      }
+    }
   };
   moduleMemberAccesses = moduleMemberAccesses
     .map((memberAccessString) => MemberAccess.fromString(memberAccessString))
     .filter((memberAccess) => NATIVE_MODULES.has(memberAccess.module))
     .map((memberAccess) => memberAccess.toString());
-  return { moduleMemberAccesses: moduleMemberAccesses, globalMemberAccesses: globalMemberAccesses };
+  if (!recordEvidence) {
+    return { moduleMemberAccesses: moduleMemberAccesses, globalMemberAccesses: globalMemberAccesses };
+  }
+  for (const member of Object.keys(evidence.moduleMembers)) {
+    if (!moduleMemberAccesses.has(member)) {
+      delete evidence.moduleMembers[member];
+    }
+  }
+  return { moduleMemberAccesses: moduleMemberAccesses, globalMemberAccesses: globalMemberAccesses, evidence: evidence };
 }
 
 /**
@@ -136,50 +242,61 @@ function getMemberAccessesForPackage(packagePath, locations) {
  * @param   {boolean} memberAccessTracing  true if memberAccessTracing is used
  * @param   {boolean} includeCustomModules true, if custom modules should be tracked
  * @param   {boolean} locations            true, if the AST should include source code locations
+ * @param   {boolean} recordEvidence       true, if the source locations of the capabilities should be recorded
  * @returns {Object}                       The resulting capabilities
  */
-function getCapabilitiesFromDependencyMap(dependencyMap, memberAccessTracing, includeCustomModules, locations) {
+function getCapabilitiesFromDependencyMap(dependencyMap, memberAccessTracing, includeCustomModules, locations, recordEvidence) {
   const capabilitiesCoarse = {};
   const capabilitiesFine = {};
 
   for (const packagePath of Object.keys(dependencyMap)) {
-    const { modules, globals } = getAccessesForPackage(packagePath, includeCustomModules, locations);
-    capabilitiesCoarse[packagePath] = { modules: modules, globals: globals };
+    capabilitiesCoarse[packagePath] = getAccessesForPackage(packagePath, includeCustomModules, locations, recordEvidence);
 
     if (memberAccessTracing === true) {
-      const { moduleMemberAccesses, globalMemberAccesses } = getMemberAccessesForPackage(packagePath, locations);
-      capabilitiesFine[packagePath] = { modules: moduleMemberAccesses, globals: globalMemberAccesses };
+      const { moduleMemberAccesses, globalMemberAccesses, evidence } = getMemberAccessesForPackage(packagePath, locations, recordEvidence);
+      capabilitiesFine[packagePath] = { modules: moduleMemberAccesses, globals: globalMemberAccesses, evidence: evidence };
     }
   }
 
   return { capabilitiesCoarse: capabilitiesCoarse, capabilitiesFine: capabilitiesFine };
 }
 
+/**
+ * Get the policy key of the package at a given path
+ * @param   {String}  packagePath Path to the package
+ * @param   {Object}  versionMap  Object mapping package paths to their version from the lockfile
+ * @returns {String?}             The key in the form `name@version`, or null if the package name can't be determined
+ */
+function policyKeyForPath(packagePath, versionMap) {
+  const packageInfo = packageFromPath(packagePath);
+  if (packageInfo === null) {
+    return null;
+  }
+  return packageKey(packageInfo.name, versionMap[packagePath] || packageInfo.version);
+}
+
 /**
  * Create the inner actual policy for a specific granularity, based on the given capabilities
  * @param   {Object}   capabilities        Object mapping package paths to their capabilities
- * @param   {String}   rootPath            Path to the root package
- * @param   {String}   rootPackageName     Name of the root package
- * @returns {Object}                       The resulting policy
+ * @param   {Object}   versionMap          Object mapping package paths to their version from the lockfile
+ * @param   {String}   granularity         `coarse` for modules, globals, dynamic code and environment variables, `fine` for members
+ * @returns {Object}                       The resulting policy, mapping `name@version` keys to capabilities
  */
-function createGranularPolicy(capabilities, rootPath, rootPackageName) {
+function createGranularPolicy(capabilities, versionMap, granularity) {
   const policy = {};
   for (const packagePath of Object.keys(capabilities)) {
-    const pathParts = packagePath.split('node_modules/');
-    let packageName = pathParts[pathParts.length - 1];
-    if (packageName === rootPath) {
-      packageName = rootPackageName;
+    const key = policyKeyForPath(packagePath, versionMap);
+    if (key === null) {
+      reportAnalysisError(`Could not determine the package name for ${packagePath}.`);
+      continue;
     }
-    // If there are multiple versions of the same package in the policy, create the union
-    if (Object.keys(policy).includes(packageName)) {
-      const globalUnion = Array.from(new Set(policy[packageName]['globals']).union(capabilities[packagePath]['globals'])).sort();
-      const moduleUnion = Array.from(new Set(policy[packageName]['modules']).union(capabilities[packagePath]['modules'])).sort();
-      policy[packageName] = { modules: moduleUnion, globals: globalUnion };
-    } else {
-      const globalArray = Array.from(capabilities[packagePath]['globals']).sort();
-      const moduleArray = Array.from(capabilities[packagePath]['modules']).sort();
-      policy[packageName] = { modules: moduleArray, globals: globalArray };
+    // If the same version of a package is installed multiple times, create the union
+    const entry = {};
+    for (const capabilityType of Object.keys(CAPABILITY_KINDS[granularity])) {
+      const previous = Object.keys(policy).includes(key) ? policy[key][capabilityType] : [];
+      entry[capabilityType] = Array.from(new Set(previous).union(capabilities[packagePath][capabilityType])).sort();
     }
+    policy[key] = entry;
   };
   return policy;
 }
@@ -187,15 +304,14 @@ function createGranularPolicy(capabilities, rootPath, rootPackageName) {
 /**
  * Create a well formatted policy from the extracted capabilities
  * @param   {Object}   capabilities        Object containing `capabilitiesCoarse` and `capabilitiesFine` which are mapping package paths to their capabilities
- * @param   {String}   rootPath            Path to the root package
- * @param   {String}   rootPackageName     Name of the root package
+ * @param   {Object}   versionMap          Object mapping package paths to their version from the lockfile
  * @param   {boolean?} memberAccessTracing true if memberAccessTracing is used, else false or null or undefined
  * @returns {Object}                       The resulting policy
  */
-function createPolicy(capabilities, rootPath, rootPackageName, memberAccessTracing) {
+function createPolicy(capabilities, versionMap, memberAccessTracing) {
   const { capabilitiesCoarse, capabilitiesFine } = capabilities;
-  const policyCoarse = createGranularPolicy(capabilitiesCoarse, rootPath, rootPackageName);
-  const policyFine = createGranularPolicy(capabilitiesFine, rootPath, rootPackageName);
+  const policyCoarse = createGranularPolicy(capabilitiesCoarse, versionMap, 'coarse');
+  const policyFine = createGranularPolicy(capabilitiesFine, versionMap, 'fine');
   const surrounding = {
     // Because memberAccessTracing is created by yargs and may be null or undefined
     memberAccessTracing: memberAccessTracing === true,
@@ -205,6 +321,39 @@ function createPolicy(capabilities, rootPath, rootPackageName, memberAccessTraci
   return surrounding;
 }
 
+/**
+ * Create the evidence section of a policy, mapping the capabilities of each package to the source
+ * locations that use them
+ * @param   {Object} capabilities Object containing `capabilitiesCoarse` and `capabilitiesFine`, mapping package paths to their capabilities including their `evidence`
+ * @param   {Object} versionMap   Object mapping package paths to their version from the lockfile
+ * @param   {String} rootPath     Path to the root package, which the file paths are made relative to
+ * @returns {Object}              Object mapping `name@version` keys to the evidence of their `modules`, `globals`, `dynamicCode`, `environment`, `moduleMembers` and `globalMembers`
+ */
+function createEvidence(capabilities, versionMap, rootPath) {
+  const evidence = {};
+  for (const granularCapabilities of [capabilities.capabilitiesCoarse, capabilities.capabilitiesFine]) {
+    for (const packagePath of Object.keys(granularCapabilities)) {
+      const key = policyKeyForPath(packagePath, versionMap);
+      if (key === null) {
+        continue;
+      }
+      if (!(key in evidence)) {
+        evidence[key] = { modules: {}, globals: {}, dynamicCode: {}, environment: {}, moduleMembers: {}, globalMembers: {} };
+      }
+      const packageEvidence = granularCapabilities[packagePath]['evidence'];
+      for (const capabilityType of Object.keys(packageEvidence)) {
+        for (const locations of Object.values(packageEvidence[capabilityType])) {
+          for (const location of locations) {
+            location.file = path.relative(rootPath, location.file);
+          }
+        }
+        mergeEvidence(evidence[key][capabilityType], packageEvidence[capabilityType]);
+      }
+    }
+  }
+  return evidence;
+}
+
 /**
  * Load the current policy from the POLICY PATH
  * @returns {Object} The policy
@@ -220,91 +369,126 @@ function readPolicy() {
 }
 
 /**
- * Print out which new members are accessed (for policies with member tracing)
- * @param {Object} oldPolicy The old policy
- * @param {Object} newPolicy The new policy
+ * Print out the source locations of a finding, if they were recorded
+ * @param {Object} finding The finding
  */
-function compareMemberAccessPolicies(oldPolicy, newPolicy) {
-  const newUses = policyDiff(oldPolicy, newPolicy);
-  if (Object.keys(newUses).length > 0) {
-    for (const pkg of Object.keys(newUses)) {
-      for (const moduleAccess of newUses[pkg]['modules']){
-        log(`Package ${pkg} now accesses previously unaccessed module member ${moduleAccess}.`,
-            'brightRed');
-      }
-      for (const globalAccess of newUses[pkg]['globals']) {
-        log(`Package ${pkg} now accesses previously unaccessed global member ${globalAccess}.`,
-            'brightRed');
-      }
+function printEvidence(finding) {
+  for (const location of finding.evidence || []) {
+    console.log(`    at ${formatEvidence(location)}`);
+  }
+}
+
+/**
+ * Get the message of a finding, prefixed with the severity and category of its capability
+ * @param   {Object} finding The finding
+ * @returns {String}         The message
+ */
+function findingMessage(finding) {
+  if (finding.category === null) {
+    return finding.message;
+  }
+  const classification = finding.severity === null ? finding.category : `${finding.severity}/${finding.category}`;
+  return `[${classification}] ${finding.message}`;
+}
+
+/**
+ * Print out the findings of a policy diff, colored by the kind of change
+ * @param {Object[]} findings        The findings
+ * @param {String}   noChangeMessage The message to print if there are no findings
+ */
+function printFindings(findings, noChangeMessage) {
+  if (findings.length > 0) {
+    for (const finding of findings) {
+      log(findingMessage(finding), FINDING_COLORS[finding.change]);
+      printEvidence(finding);
     }
   } else {
-    log('No new member accesses detected!', 'brightGreen');
+    log(noChangeMessage, 'brightGreen');
   }
 }
 
 /**
- * Print out which new modules and global objects are accessed (for policies without member tracing)
+ * Print out which members are newly accessed or no longer accessed (for policies with member tracing)
+ * @param {Object}  oldPolicy The old policy
+ * @param {Object}  newPolicy The new policy
+ * @param {Object?} evidence  The evidence section of the new policy, if it has one
+ */
+function compareMemberAccessPolicies(oldPolicy, newPolicy, evidence) {
+  printFindings(attachEvidence(diffFindings(oldPolicy, newPolicy, 'fine'), evidence), 'No changed member accesses detected!');
+}
+
+/**
+ * Print out which packages were added or removed, and which modules and globals they newly use or no
+ * longer use
+ * @param {Object}  oldPolicy The old policy
+ * @param {Object}  newPolicy The new policy
+ * @param {Object?} evidence  The evidence section of the new policy, if it has one
+ */
+function compareImportPolicies(oldPolicy, newPolicy, evidence) {
+  printFindings(attachEvidence(diffFindings(oldPolicy, newPolicy, 'coarse'), evidence), 'No changed imports detected!');
+}
+
+/**
+ * Print out the risk scores of the packages whose capabilities changed, compared to the highest score
+ * of any of their previous versions
  * @param {Object} oldPolicy The old policy
  * @param {Object} newPolicy The new policy
  */
-function compareImportPolicies(oldPolicy, newPolicy) {
-  const newUses = policyDiff(oldPolicy, newPolicy);
-  if (Object.keys(newUses).length > 0) {
-    for (const pkg of Object.keys(newUses)) {
-      for (const module of newUses[pkg]['modules']) {
-        log(`Package ${pkg} now imports previously not imported module ${module}.`, 'brightRed');
-      }
-      for (const global of newUses[pkg]['globals']) {
-        log(`Package ${pkg} now uses previously unused global ${global}.`, 'brightRed');
-      }
-    }
-  } else {
-    log('No new imports detected!', 'brightGreen');
+function printRiskScores(oldPolicy, newPolicy) {
+  const oldScores = riskScores(oldPolicy);
+  const newScores = riskScores(newPolicy);
+  const changed = Array.from(new Set(policyFindings(oldPolicy, newPolicy).map((finding) => finding.package))).sort();
+  for (const key of changed.filter((key) => newScores[key] !== undefined)) {
+    const { score, categories } = newScores[key];
+    const oldScore = Object.keys(oldScores)
+      .filter((oldKey) => parsePackageKey(oldKey).name === parsePackageKey(key).name)
+      .reduce((max, oldKey) => Math.max(max, oldScores[oldKey].score), 0);
+    const trend = score === oldScore ? '' : ` (was ${oldScore})`;
+    log(`Risk score of ${key}: ${score}${trend} ${categories.join(', ')}`, score > oldScore ? 'brightRed' : 'brightYellow');
   }
 }
 
 /**
- * Create the difference between the new policy and the old policy
- * @param   {Object} oldPolicy The old policy
- * @param   {Object} newPolicy The new policy
- * @returns {Object}           Elements present in the new policy, but not in the old policy
+ * Get the packages selected with `--package`
+ * @returns {String[]} Package names or `name@version` keys, empty if no filter was given
  */
-function policyDiff(oldPolicy, newPolicy) {
-  const newUses = {};
-  oldPolicy = oldPolicy || {};
-  for (const packagePath of Object.keys(newPolicy)) {
-    const {
-      modules: allowedModules,
-      globals: allowedGlobals
-    } = oldPolicy[packagePath] || {modules: [], globals: []};
-    for (const newGlobal of newPolicy[packagePath]['globals']) {
-      if (!allowedGlobals.includes(newGlobal)) {
-        if (!(packagePath in newUses)) {
-          newUses[packagePath] = {globals: [], modules: []};
-        }
-        newUses[packagePath]['globals'].push(newGlobal);
-      }
-    }
-    for (const newModule of newPolicy[packagePath]['modules']) {
-      if (!allowedModules.includes(newModule)) {
-        if (!(packagePath in newUses)) {
-          newUses[packagePath] = {globals: [], modules: []};
-        }
-        newUses[packagePath]['modules'].push(newModule);
-      }
-    }
+function packageFilter() {
+  if (argv.package === undefined) {
+    return [];
   }
-  return newUses;
+  return [].concat(argv.package).map(String);
 }
 
+// Describes the kinds of capabilities in the console output
+const KIND_NAMES = {
+  module: 'module',
+  global: 'global',
+  dynamicCode: 'dynamic code through',
+  environmentVariable: 'environment variable',
+  moduleMember: 'module member',
+  globalMember: 'global member'
+};
+
 /**
- * Merges the new policy with an old policy
- * @param   {Object} oldPolicy The old policy
- * @param   {Object} newPolicy The new policy
- * @returns {Object}           The merged policy
+ * Print out what a merge added to, kept in and dropped from the policy
+ * @param {Object[]} changes The changes of the merge
  */
-function mergePolicies(oldPolicy, newPolicy) {
-  return Object.assign({}, oldPolicy, newPolicy);
+function printMergeChanges(changes) {
+  const counts = { added: 0, kept: 0, dropped: 0 };
+  for (const change of changes) {
+    counts[change.change] += 1;
+    if (change.rule !== undefined) {
+      const description = `${change.ruleSection === 'deny' ? 'deny' : 'action'} rule for ${change.rule.packages.join(', ')}`;
+      log(`Merge ${change.change} ${description} (${change.reason}).`, change.change === 'dropped' ? 'brightBlue' : 'brightYellow');
+    } else if (change.capability === null) {
+      log(`Merge ${change.change} package ${change.package} (${change.reason}).`, change.change === 'dropped' ? 'brightBlue' : 'brightYellow');
+    } else if (change.change === 'added') {
+      log(`Merge added ${KIND_NAMES[change.kind]} ${change.capability} to ${change.package} (${change.reason}).`, 'brightRed');
+    } else {
+      log(`Merge kept ${KIND_NAMES[change.kind]} ${change.capability} of ${change.package} (${change.reason}).`, 'brightYellow');
+    }
+  }
+  console.log(`Merged policy: ${counts.added} added, ${counts.kept} kept, ${counts.dropped} dropped.`);
 }
 
 /**
@@ -320,34 +504,396 @@ function savePolicy(newPolicy, oldPolicy, noBackup) {
   }
 }
 
-function main() {
-  const inPath = argv._[0] || "";
-  if (inPath === "" || argv.h) {
-    console.log('Usage: node src/main.js PATH [--overwrite --locations --member-access-tracing --no-backup --custom-modules --json --policy-path PATH]');
-    process.exit(1);
-  }
+/**
+ * Print the usage information
+ */
+function printUsage() {
+  console.log('Usage: node src/main.js PATH [--overwrite --merge --package PACKAGE --locations --member-access-tracing --no-backup --custom-modules --evidence --overrides PATH --categories PATH --json --policy-path PATH]');
+  console.log('       node src/main.js check PATH [--fail-on SEVERITY --locations --member-access-tracing --custom-modules --evidence --overrides PATH --categories PATH --json --sarif --policy-path PATH]');
+  console.log('       node src/main.js diff OLD_POLICY NEW_POLICY [--categories PATH --json --sarif]');
+  console.log('       node src/main.js explain PATH PACKAGE CAPABILITY [--json]');
+  console.log('       node src/main.js ingest RECORDING... [--no-backup --policy-path PATH]');
+  console.log('       node src/main.js review PATH [--reviewer NAME --member-access-tracing --custom-modules --overrides PATH --no-backup --policy-path PATH]');
+}
+
+/**
+ * Use a custom policy path, if one was given
+ */
+function configurePolicyPath() {
   if (argv.policyPath) {
     POLICY_PATH = argv.policyPath;
     OLD_POLICY_PATH = argv.policyPath + '.old';
   }
+}
+
+/**
+ * Read the override file given with `--overrides`, or the one in the root package if it exists
+ * @param   {String}  rootPath Path to the root package
+ * @returns {Object?}          The parsed override file, or null if there is none
+ */
+function readOverrides(rootPath) {
+  let overridesPath = argv.overrides;
+  if (overridesPath === undefined) {
+    overridesPath = path.join(rootPath, DEFAULT_OVERRIDES_FILE_NAME);
+    if (!fs.existsSync(overridesPath)) {
+      return null;
+    }
+  }
+  return JSON.parse(fs.readFileSync(String(overridesPath)).toString());
+}
+
+/**
+ * Create a new policy from the capabilities of the project at the given path and its dependencies
+ * @param   {String}  inPath         Path to the root package
+ * @param   {boolean} recordEvidence true, if the source locations of the capabilities should be recorded
+ * @returns {Object}                 The new policy
+ */
+function scanProject(inPath, recordEvidence = argv.evidence) {
+  const rootPath = path.resolve(inPath);
+  const dependencyMap = getDependencyMap(rootPath);
+  const versionMap = getVersionMap(rootPath);
+  const capabilities = getCapabilitiesFromDependencyMap(dependencyMap, argv.memberAccessTracing, argv.customModules, argv.locations, recordEvidence);
+  const policy = createPolicy(capabilities, versionMap, argv.memberAccessTracing);
+  if (recordEvidence) {
+    policy.evidence = createEvidence(capabilities, versionMap, rootPath);
+  }
+  const overrides = readOverrides(rootPath);
+  if (overrides !== null) {
+    for (const usage of applyOverrides(policy, overrides)) {
+      console.error(`Package ${usage.package} uses ${KIND_NAMES[usage.kind]} ${usage.capability}, which is denied by an override: ${usage.justification}`);
+    }
+  }
+  return policy;
+}
+
+/**
+ * Compare the capabilities of the project at the given path against the stored policy, and determine
+ * the exit code for a CI pipeline
+ * @param   {String} inPath    Path to the root package
+ * @param   {String} threshold Minimum severity of a new capability to fail the check
+ * @returns {number}           One of EXIT_CODES
+ */
+function check(inPath, threshold) {
+  let newPolicy;
+  try {
+    // SARIF results need the source locations of the findings
+    newPolicy = scanProject(inPath, argv.evidence || argv.sarif);
+  } catch (e) {
+    reportAnalysisError(`Could not analyse ${inPath}: ${e.message}`);
+    return EXIT_CODES.analysisErrors;
+  }
+  const oldPolicy = readPolicy();
+  const findings = policyFindings(oldPolicy, newPolicy);
+  const failingFindings = findings.filter((finding) => severityAtLeast(finding.severity, threshold));
+  let exitCode = EXIT_CODES.noChange;
+  if (failingFindings.length > 0) {
+    exitCode = EXIT_CODES.newCapabilities;
+  } else if (analysisErrors.length > 0) {
+    exitCode = EXIT_CODES.analysisErrors;
+  }
+
+  if (argv.sarif) {
+    console.log(JSON.stringify(createSarifLog(failingFindings, inPath), null, 2));
+    return exitCode;
+  }
+  if (argv.json) {
+    const output = { exitCode: exitCode, findings: findings, riskScores: riskScores(newPolicy), analysisErrors: analysisErrors };
+    console.log(JSON.stringify(output, null, 2));
+    return exitCode;
+  }
+  for (const finding of findings) {
+    let color = FINDING_COLORS[finding.change];
+    if (finding.severity !== null) {
+      color = failingFindings.includes(finding) ? 'brightRed' : 'brightYellow';
+    }
+    log(findingMessage(finding), color);
+    printEvidence(finding);
+  }
+  if (exitCode === EXIT_CODES.newCapabilities) {
+    log(`${failingFindings.length} new capabilities with severity ${threshold} or higher detected!`, 'brightRed');
+  } else if (exitCode === EXIT_CODES.analysisErrors) {
+    log(`${analysisErrors.length} files or packages could not be analysed, the check is incomplete!`, 'brightRed');
+  } else {
+    log(`No new capabilities with severity ${threshold} or higher detected!`, 'brightGreen');
+  }
+  return exitCode;
+}
+
+/**
+ * Compare two saved policy files, without scanning any packages
+ * @param   {String} oldPolicyPath Path to the old policy
+ * @param   {String} newPolicyPath Path to the new policy
+ * @returns {number}               0 if the new policy has no new capabilities, 1 if it has, 2 if a policy could not be read
+ */
+function diffPolicyFiles(oldPolicyPath, newPolicyPath) {
+  let oldPolicy, newPolicy;
+  try {
+    oldPolicy = JSON.parse(fs.readFileSync(oldPolicyPath).toString());
+    newPolicy = JSON.parse(fs.readFileSync(newPolicyPath).toString());
+  } catch (e) {
+    console.error(`Could not read policy: ${e.message}`);
+    return EXIT_CODES.analysisErrors;
+  }
+  const findings = policyFindings(oldPolicy, newPolicy);
+  if (argv.sarif) {
+    // The source locations in the evidence are relative to the project the new policy was created for,
+    // which is assumed to be the current directory
+    console.log(JSON.stringify(createSarifLog(findings, process.cwd()), null, 2));
+  } else if (argv.json) {
+    console.log(JSON.stringify(findings, null, 2));
+  } else {
+    printFindings(findings, `${oldPolicyPath} and ${newPolicyPath} contain the same capabilities.`);
+  }
+  const hasNewCapabilities = findings.some((finding) => finding.change === 'capabilityAdded');
+  return hasNewCapabilities ? EXIT_CODES.newCapabilities : EXIT_CODES.noChange;
+}
+
+/**
+ * Find all places in the files of a package that use a given capability
+ * @param   {String}   packagePath Path to the package
+ * @param   {String}   capability  A module, global, module member, global member or environment variable, e.g. `net` or `process.env`
+ * @param   {String}   rootPath    Path to the root package, which the file paths are made relative to
+ * @returns {Object[]}             The occurrences, containing the `kind` and name of the `capability` and its source location
+ */
+function findCapabilityOccurrences(packagePath, capability, rootPath) {
+  const occurrences = [];
+  for (const filePath of recursiveGetJSFilePaths(packagePath)) {
+    const source = readSource(filePath);
+    const ast = buildTree(source);
+    if (ast === null) {
+      reportAnalysisError(`Could not build tree for file ${filePath}.`);
+      continue;
+    }
+    const imports = [];
+    const moduleMembers = [];
+    const dynamicCodeAccesses = [];
+    extractImports(ast, imports);
+    extractMemberAccesses(ast, moduleMembers);
+    extractDynamicCodeAccesses(ast, dynamicCodeAccesses);
+    const { identifiers, memberIdentifiers, dynamicCodeIdentifiers, environmentIdentifiers } = extractGlobals(ast);
+    const candidatesByKind = [
+      ['module', imports],
+      ['moduleMember', moduleMembers],
+      ['global', identifiers],
+      ['globalMember', memberIdentifiers],
+      ['dynamicCode', dynamicCodeIdentifiers.concat(dynamicCodeAccesses)],
+      ['environmentVariable', environmentIdentifiers]
+    ];
+    for (const [kind, candidates] of candidatesByKind) {
+      const isMember = kind === 'moduleMember' || kind === 'globalMember';
+      for (const candidate of candidates) {
+        // Members also match the members that are part of them, e.g. `process.env.HOME` of `process.env`
+        if (candidate.name === capability || (isMember && coversCapability([capability], candidate.name))) {
+          occurrences.push(Object.assign({ kind: kind, capability: candidate.name }, sourceLocation(path.relative(rootPath, filePath), source, candidate.start)));
+        }
+      }
+    }
+  }
+  return occurrences;
+}
+
+/**
+ * Explain why a package has a capability: print each place where the package uses it, and the chain
+ * of dependencies that pulls the package into the project
+ * @param   {String} inPath      Path to the root package
+ * @param   {String} packageSpec Name of the package, or its policy key (`name@version`)
+ * @param   {String} capability  A module, global, module member, global member or environment variable, e.g. `net` or `process.env`
+ * @returns {number}             0 if the package was found, else 1
+ */
+function explain(inPath, packageSpec, capability) {
   const rootPath = path.resolve(inPath);
   const dependencyMap = getDependencyMap(rootPath);
-  const rootPackageName = JSON.parse(fs.readFileSync(path.join(rootPath, 'package.json'))).name;
-  const capabilities = getCapabilitiesFromDependencyMap(dependencyMap, argv.memberAccessTracing, argv.customModules, argv.locations);
-  const newPolicy = createPolicy(capabilities, rootPath, rootPackageName, argv.memberAccessTracing);
+  const versionMap = getVersionMap(rootPath);
+  const explanations = [];
+  for (const packagePath of Object.keys(dependencyMap)) {
+    const key = policyKeyForPath(packagePath, versionMap);
+    if (key === null || (key !== packageSpec && parsePackageKey(key).name !== packageSpec)) {
+      continue;
+    }
+    const chain = getDependencyChain(dependencyMap, rootPath, packagePath);
+    explanations.push({
+      package: key,
+      path: path.relative(rootPath, packagePath) || '.',
+      dependencyChain: chain === null ? null : chain.map((chainPath) => policyKeyForPath(chainPath, versionMap) || chainPath),
+      occurrences: findCapabilityOccurrences(packagePath, capability, rootPath)
+    });
+  }
+
+  if (argv.json) {
+    console.log(JSON.stringify(explanations, null, 2));
+  } else if (explanations.length === 0) {
+    log(`Package ${packageSpec} is not installed in ${rootPath}.`, 'brightRed');
+  }
+  if (argv.json || explanations.length === 0) {
+    return explanations.length > 0 ? 0 : 1;
+  }
+  for (const explanation of explanations) {
+    log(`${explanation.package} (${explanation.path})`, 'brightYellow');
+    if (explanation.dependencyChain === null) {
+      console.log('  is not a dependency of the root package');
+    } else {
+      console.log(`  is pulled in through ${explanation.dependencyChain.join(' → ')}`);
+    }
+    if (explanation.occurrences.length === 0) {
+      console.log(`  does not use ${capability}`);
+    }
+    for (const occurrence of explanation.occurrences) {
+      console.log(`  uses ${KIND_NAMES[occurrence.kind]} ${occurrence.capability} at ${formatEvidence(occurrence)}`);
+    }
+  }
+  return 0;
+}
+
+/**
+ * Interactively review the new capabilities of the project at the given path, and save the stored
+ * policy extended by the approved capabilities. Approvals and rejections are recorded in the policy.
+ * @param   {String}          inPath Path to the root package
+ * @returns {Promise<number>}        The exit code
+ */
+async function review(inPath) {
+  const newPolicy = scanProject(inPath, true);
+  const oldPolicy = readPolicy();
+  // Evidence is only recorded to show it to the reviewer, unless it was requested
+  if (!argv.evidence) {
+    delete newPolicy.evidence;
+  }
+  const newCapabilities = policyFindings(oldPolicy, newPolicy).filter((finding) => finding.change === 'capabilityAdded');
+  const findings = newCapabilities.filter((finding) => !wasRejected(oldPolicy, finding));
+  if (findings.length < newCapabilities.length) {
+    console.log(`Skipping ${newCapabilities.length - findings.length} previously rejected capabilities.`);
+  }
+  if (findings.length === 0) {
+    log('No new capabilities to review!', 'brightGreen');
+    return 0;
+  }
+  const reviewer = String(argv.reviewer || os.userInfo().username);
+  const reviews = await reviewFindings(findings, reviewer);
+  const approved = reviews.filter((review) => review.decision === 'approved').length;
+  const rejected = reviews.filter((review) => review.decision === 'rejected').length;
+  console.log(`${approved} approved, ${rejected} rejected, ${findings.length - approved - rejected} deferred.`);
+  if (approved + rejected === 0) {
+    console.log('No policy written.');
+    return 0;
+  }
+  const { policy } = mergePolicies(oldPolicy, removeUnapprovedCapabilities(newPolicy, newCapabilities, reviews));
+  savePolicy(recordReviews(policy, reviews), oldPolicy, argv.noBackup);
+  console.log(`Approved capabilities written to ${POLICY_PATH}.`);
+  return 0;
+}
+
+/**
+ * Merge the capabilities recorded at runtime into the stored policy, and print out the capabilities
+ * that were only seen at runtime, i.e. that the static analysis missed. Members are only merged if
+ * the stored policy uses member access tracing, as the members of all other packages would be blocked
+ * otherwise.
+ * @param   {String[]} recordingPaths Paths to the recordings or violation logs
+ * @returns {number}                  The exit code
+ */
+function ingest(recordingPaths) {
+  let entries;
+  try {
+    entries = readRecordings(recordingPaths);
+  } catch (e) {
+    console.error(`Could not read recording: ${e.message}`);
+    return EXIT_CODES.analysisErrors;
+  }
+  const { policy: recorded, skipped } = recordedPolicy(entries);
+  const oldPolicy = readPolicy();
+  recorded.memberAccessTracing = recorded.memberAccessTracing && oldPolicy.memberAccessTracing === true;
+  if (skipped > 0) {
+    console.log(`Skipping ${skipped} entries that were blocked or whose package is unknown.`);
+  }
+  const runtimeOnly = policyFindings(oldPolicy, recorded)
+    .filter((finding) => finding.change === 'packageAdded' || finding.change === 'capabilityAdded');
+  printFindings(runtimeOnly, 'No capabilities seen only at runtime!');
+  if (runtimeOnly.length === 0) {
+    return 0;
+  }
+  delete recorded.evidence;
+  // The rules of the stored policy are kept, as a recording has none
+  recorded.deny = oldPolicy.deny;
+  recorded.actions = oldPolicy.actions;
+  const { policy, changes } = mergePolicies(oldPolicy, recorded, [], true);
+  printMergeChanges(changes);
+  policy.risk = riskScores(policy);
+  savePolicy(policy, oldPolicy, argv.noBackup);
+  console.log(`Recorded capabilities written to ${POLICY_PATH}.`);
+  return 0;
+}
+
+function main() {
+  if (argv.categories) {
+    extendClassification(JSON.parse(fs.readFileSync(argv.categories, 'utf8')));
+  }
+  if (argv._[0] === 'review') {
+    if (argv._.length < 2 || argv.h) {
+      printUsage();
+      process.exit(1);
+    }
+    configurePolicyPath();
+    review(String(argv._[1])).then((exitCode) => process.exit(exitCode));
+    return;
+  }
+  if (argv._[0] === 'explain') {
+    if (argv._.length < 4 || argv.h) {
+      printUsage();
+      process.exit(1);
+    }
+    process.exit(explain(String(argv._[1]), String(argv._[2]), String(argv._[3])));
+  }
+  if (argv._[0] === 'diff') {
+    if (argv._.length < 3 || argv.h) {
+      printUsage();
+      process.exit(EXIT_CODES.analysisErrors);
+    }
+    process.exit(diffPolicyFiles(String(argv._[1]), String(argv._[2])));
+  }
+  if (argv._[0] === 'ingest') {
+    if (argv._.length < 2 || argv.h) {
+      printUsage();
+      process.exit(EXIT_CODES.analysisErrors);
+    }
+    configurePolicyPath();
+    process.exit(ingest(argv._.slice(1).map(String)));
+  }
+  if (argv._[0] === 'check') {
+    const threshold = argv.failOn || 'high';
+    if (argv._.length < 2 || argv.h || !SEVERITY_LEVELS.includes(threshold)) {
+      printUsage();
+      console.log(`SEVERITY is one of ${SEVERITY_LEVELS.join(', ')}. Default: high`);
+      process.exit(EXIT_CODES.analysisErrors);
+    }
+    configurePolicyPath();
+    process.exit(check(argv._[1], threshold));
+  }
+  const inPath = argv._[0] || "";
+  if (inPath === "" || argv.h) {
+    printUsage();
+    process.exit(1);
+  }
+  configurePolicyPath();
+  const newPolicy = scanProject(inPath);
   const oldPolicy = readPolicy();
   let mergedPolicy;
   if (!argv.json) {
-    compareImportPolicies(oldPolicy.policyCoarse, newPolicy.policyCoarse);
+    compareImportPolicies(oldPolicy.policyCoarse, newPolicy.policyCoarse, newPolicy.evidence);
     if (argv.memberAccessTracing) {
-      compareMemberAccessPolicies(oldPolicy.policyFine, newPolicy.policyFine);
+      compareMemberAccessPolicies(oldPolicy.policyFine, newPolicy.policyFine, newPolicy.evidence);
     }
+    printRiskScores(oldPolicy, newPolicy);
   }
-  if (argv.json || argv.overwrite) {
-    // Should policies be merged?
-    // mergedPolicy = mergePolicies(oldPolicy, newPolicy);
+  if (argv.merge || argv.package !== undefined) {
+    const { policy, changes } = mergePolicies(oldPolicy, newPolicy, packageFilter());
+    mergedPolicy = policy;
+    if (!argv.json) {
+      printMergeChanges(changes);
+    }
+  } else if (argv.json || argv.overwrite) {
     mergedPolicy = newPolicy;
   }
+  if (mergedPolicy !== undefined) {
+    mergedPolicy.risk = riskScores(mergedPolicy);
+  }
   if (argv.json) {
     console.log(JSON.stringify(mergedPolicy, null, 2));
   }
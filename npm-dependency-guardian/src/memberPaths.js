@@ -0,0 +1,67 @@
+"use strict";
+
+// Names of the members that end a member path: the members that values inherit from the built-in
+// prototypes, e.g. `slice` of arrays or `call` of functions, as `process.argv.slice(2)` uses
+// `process.argv` as a whole, and the `prototype` of functions, which is not restricted at runtime
+const PATH_END_MEMBER_NAMES = new Set([Object, Function, Array, String, Number, Boolean, Symbol, Promise]
+  .flatMap((constructor) => Object.getOwnPropertyNames(constructor.prototype))
+  .concat(['prototype']));
+
+/**
+ * Create the member path of a capability from the object it starts at and the members accessed on
+ * it, e.g. `fs.promises.readFile`. The first member is always part of the path, the following ones
+ * up to the first member in PATH_END_MEMBER_NAMES.
+ * @param   {String}   objectName The name of the module or global object
+ * @param   {String[]} members    The names of the accessed members, at least one
+ * @returns {String}              The member path
+ */
+function capabilityPath(objectName, members) {
+  let path = `${objectName}.${members[0]}`;
+  for (const member of members.slice(1)) {
+    if (PATH_END_MEMBER_NAMES.has(member)) {
+      break;
+    }
+    path = `${path}.${member}`;
+  }
+  return path;
+}
+
+/**
+ * Get a capability and the capabilities it is part of, longest first, e.g. `process.env.HOME`,
+ * `process.env` and `process` for `process.env.HOME`
+ * @param   {String}   capability The capability
+ * @returns {String[]}            The capability and its prefixes
+ */
+function capabilityPrefixes(capability) {
+  const parts = capability.split('.');
+  return parts.map((part, index) => parts.slice(0, parts.length - index).join('.'));
+}
+
+/**
+ * Indicates whether a list of capabilities covers a capability, i.e. lists the capability itself or
+ * one it is part of, e.g. `process.env` covers `process.env.HOME`
+ * @param   {String[]} capabilities The listed capabilities
+ * @param   {String}   capability   The capability
+ * @returns {boolean}               true if the capability is covered, else false
+ */
+function coversCapability(capabilities, capability) {
+  return capabilityPrefixes(capability).some((prefix) => capabilities.includes(prefix));
+}
+
+/**
+ * Indicates whether a list of capabilities lists parts of a capability, e.g. `fs.promises.readFile`
+ * of `fs.promises`
+ * @param   {String[]} capabilities The listed capabilities
+ * @param   {String}   capability   The capability
+ * @returns {boolean}               true if a part of the capability is listed, else false
+ */
+function listsPartsOf(capabilities, capability) {
+  return capabilities.some((listed) => listed.startsWith(`${capability}.`));
+}
+
+module.exports = {
+  capabilityPath: capabilityPath,
+  capabilityPrefixes: capabilityPrefixes,
+  coversCapability: coversCapability,
+  listsPartsOf: listsPartsOf
+};
@@ -0,0 +1,170 @@
+"use strict";
+
+const { parsePackageKey } = require('./packageIdentity.js');
+const { coversCapability, listsPartsOf } = require('./memberPaths.js');
+
+// The capability sections of an override rule, and the policy granularity and entry section they apply to
+const RULE_SECTIONS = {
+  modules: { granularity: 'policyCoarse', capabilityType: 'modules', kind: 'module' },
+  globals: { granularity: 'policyCoarse', capabilityType: 'globals', kind: 'global' },
+  dynamicCode: { granularity: 'policyCoarse', capabilityType: 'dynamicCode', kind: 'dynamicCode' },
+  environment: { granularity: 'policyCoarse', capabilityType: 'environment', kind: 'environmentVariable' },
+  moduleMembers: { granularity: 'policyFine', capabilityType: 'modules', kind: 'moduleMember' },
+  globalMembers: { granularity: 'policyFine', capabilityType: 'globals', kind: 'globalMember' }
+};
+
+// The actions taken at runtime when a package uses a capability it is not allowed to use: `mock`
+// replaces the capability with a dummy, `throw` throws an `ERR_GUARDIAN_CAPABILITY_DENIED` error and
+// `terminate` ends the process
+const VIOLATION_ACTIONS = ['mock', 'throw', 'terminate'];
+const DEFAULT_VIOLATION_ACTION = 'mock';
+
+/**
+ * Get the section of override rules that lists capabilities of a kind
+ * @param   {String} kind The kind of capability, e.g. `module` or `globalMember`
+ * @returns {String}      The rule section, e.g. `modules` or `globalMembers`
+ */
+function ruleSectionOf(kind) {
+  return Object.keys(RULE_SECTIONS).find((ruleSection) => RULE_SECTIONS[ruleSection].kind === kind);
+}
+
+/**
+ * Indicates whether an override rule applies to a package. The `packages` and `except` lists of a rule
+ * contain package names, `name@version` keys or `*` for all packages.
+ * @param   {Object}  rule       The override rule
+ * @param   {String}  packageKey Policy key (`name@version`) of the package
+ * @returns {boolean}            true if the rule applies to the package, else false
+ */
+function ruleAppliesTo(rule, packageKey) {
+  const { name } = parsePackageKey(packageKey || '');
+  const matches = (pattern) => pattern === '*' || pattern === name || pattern === packageKey;
+  return rule.packages.some(matches) && !(rule.except || []).some(matches);
+}
+
+/**
+ * Get the deny rule that forbids a package to use a capability. A rule that denies a member also
+ * denies the members that are part of it, e.g. `process.env` denies `process.env.HOME`.
+ * @param   {Object[]} denyRules      The deny rules
+ * @param   {String}   packageKey     Policy key (`name@version`) of the package
+ * @param   {String}   ruleSection    The kind of capability: `modules`, `globals`, `dynamicCode`, `environment`, `moduleMembers` or `globalMembers`
+ * @param   {String}   capability     The capability, e.g. `child_process` or `process.env`
+ * @returns {Object?}                 The first matching deny rule, or null if the capability is not denied
+ */
+function denyingRule(denyRules, packageKey, ruleSection, capability) {
+  for (const rule of denyRules) {
+    if (coversCapability(rule[ruleSection] || [], capability) && ruleAppliesTo(rule, packageKey)) {
+      return rule;
+    }
+  }
+  return null;
+}
+
+/**
+ * Indicates whether deny rules forbid a package to use some of the members that are part of a
+ * capability, e.g. `process.env.SECRET` of `process.env`
+ * @param   {Object[]} denyRules   The deny rules
+ * @param   {String}   packageKey  Policy key (`name@version`) of the package
+ * @param   {String}   ruleSection The kind of capability: `moduleMembers` or `globalMembers`
+ * @param   {String}   capability  The capability, e.g. `process.env`
+ * @returns {boolean}              true if some of its members are denied, else false
+ */
+function deniesPartsOf(denyRules, packageKey, ruleSection, capability) {
+  return denyRules.some((rule) => listsPartsOf(rule[ruleSection] || [], capability) && ruleAppliesTo(rule, packageKey));
+}
+
+/**
+ * Get the action taken when a package uses a capability it is not allowed to use. The first action
+ * rule applies that applies to the package and either lists the capability (or a member it is part
+ * of, see `denyingRule`) or lists no capabilities at all, i.e. applies to all capabilities of the
+ * package.
+ * @param   {Object[]} actionRules The action rules
+ * @param   {String?}  packageKey  Policy key (`name@version`) of the package
+ * @param   {String}   ruleSection The kind of capability: `modules`, `globals`, `dynamicCode`, `environment`, `moduleMembers` or `globalMembers`
+ * @param   {String}   capability  The capability, e.g. `child_process` or `process.env`
+ * @returns {String}               The action: `mock`, `throw` or `terminate`
+ */
+function violationAction(actionRules, packageKey, ruleSection, capability) {
+  for (const rule of actionRules) {
+    const listsCapabilities = Object.keys(RULE_SECTIONS).some((section) => rule[section] !== undefined);
+    if ((!listsCapabilities || coversCapability(rule[ruleSection] || [], capability)) && ruleAppliesTo(rule, packageKey)) {
+      return rule.action;
+    }
+  }
+  return DEFAULT_VIOLATION_ACTION;
+}
+
+/**
+ * Check that the overrides are well-formed: lists of `allow` and `deny` rules, each naming the
+ * `packages` it applies to and a `justification`, and a list of `actions` rules, each naming the
+ * `packages` it applies to and a valid `action`
+ * @param   {Object} overrides The parsed override file
+ * @returns {Object}           The overrides, with missing rule lists added
+ */
+function validateOverrides(overrides) {
+  const validated = { allow: overrides.allow || [], deny: overrides.deny || [], actions: overrides.actions || [] };
+  for (const [index, rule] of validated.actions.entries()) {
+    if (!Array.isArray(rule.packages) || rule.packages.length === 0) {
+      throw Error(`Override rule actions[${index}] does not name the packages it applies to.`);
+    }
+    if (!VIOLATION_ACTIONS.includes(rule.action)) {
+      throw Error(`Override rule actions[${index}] has no valid action, expected one of ${VIOLATION_ACTIONS.join(', ')}.`);
+    }
+  }
+  for (const type of ['allow', 'deny']) {
+    for (const [index, rule] of validated[type].entries()) {
+      if (!Array.isArray(rule.packages) || rule.packages.length === 0) {
+        throw Error(`Override rule ${type}[${index}] does not name the packages it applies to.`);
+      }
+      if (typeof rule.justification !== 'string' || rule.justification.trim() === '') {
+        throw Error(`Override rule ${type}[${index}] has no justification.`);
+      }
+    }
+  }
+  return validated;
+}
+
+/**
+ * Apply overrides on top of a generated policy: allow rules add capabilities to the packages they
+ * apply to, deny rules remove them. The deny rules are also stored in the policy, where they take
+ * precedence over the policy entries at runtime, as are the action rules.
+ * @param   {Object}   policy    The complete policy, which is modified
+ * @param   {Object}   overrides The parsed override file
+ * @returns {Object[]}           The denied capabilities the packages use, containing the `package` key, the `kind` and name of the `capability` and the `justification` of the deny rule
+ */
+function applyOverrides(policy, overrides) {
+  const { allow, deny, actions } = validateOverrides(overrides);
+  const deniedUsages = [];
+  for (const [ruleSection, { granularity, capabilityType, kind }] of Object.entries(RULE_SECTIONS)) {
+    if (granularity === 'policyFine' && !policy.memberAccessTracing) {
+      continue;
+    }
+    for (const [key, entry] of Object.entries(policy[granularity])) {
+      const scanned = new Set(entry[capabilityType]);
+      const capabilities = new Set(scanned);
+      for (const rule of allow.filter((rule) => ruleAppliesTo(rule, key))) {
+        (rule[ruleSection] || []).forEach((capability) => capabilities.add(capability));
+      }
+      for (const capability of Array.from(capabilities)) {
+        const rule = denyingRule(deny, key, ruleSection, capability);
+        if (rule !== null) {
+          capabilities.delete(capability);
+          if (scanned.has(capability)) {
+            deniedUsages.push({ package: key, kind: kind, capability: capability, justification: rule.justification });
+          }
+        }
+      }
+      entry[capabilityType] = Array.from(capabilities).sort();
+    }
+  }
+  policy.deny = deny;
+  policy.actions = actions;
+  return deniedUsages;
+}
+
+module.exports = {
+  applyOverrides: applyOverrides,
+  deniesPartsOf: deniesPartsOf,
+  denyingRule: denyingRule,
+  ruleSectionOf: ruleSectionOf,
+  violationAction: violationAction
+};
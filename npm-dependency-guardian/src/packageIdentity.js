@@ -0,0 +1,175 @@
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+
+// Maps directories outside of `node_modules` to the root directory of the package they belong to
+const packageRootCache = new Map();
+// Maps package root directories to their parsed package.json
+const packageJsonCache = new Map();
+
+/**
+ * Read the package.json file in a given directory
+ * @param   {String}  directory The directory containing the package.json file
+ * @returns {Object?}           The parsed package.json, or null if there is none or it can't be parsed
+ */
+function readPackageJson(directory) {
+  if (packageJsonCache.has(directory)) {
+    return packageJsonCache.get(directory);
+  }
+  let packageJson = null;
+  const packageJsonPath = path.join(directory, 'package.json');
+  if (fs.existsSync(packageJsonPath)) {
+    try {
+      packageJson = JSON.parse(fs.readFileSync(packageJsonPath));
+    } catch {
+      // A broken package.json does not describe a package
+    }
+  }
+  packageJsonCache.set(directory, packageJson);
+  return packageJson;
+}
+
+/**
+ * Get the name of an installed package from the path segments following the last `node_modules`
+ * directory, taking scoped packages (`@scope/name`) into account
+ * @param   {String[]} pathParts The segments of a path
+ * @param   {number}   index     The index of the last `node_modules` segment
+ * @returns {String?}            The name of the package, or null if the path ends in `node_modules`
+ */
+function nameAfterNodeModules(pathParts, index) {
+  const name = pathParts[index + 1];
+  if (name === undefined || name === '') {
+    return null;
+  }
+  if (name.startsWith('@') && pathParts[index + 2] !== undefined) {
+    return `${name}/${pathParts[index + 2]}`;
+  }
+  return name;
+}
+
+/**
+ * Get the root directory of the closest package that declares a name, searching the given directory
+ * and its parents. package.json files without a name (e.g. `{"type": "module"}` in a `dist`
+ * directory) do not mark a package root and are skipped.
+ * @param   {String}  directory The directory to start the search in
+ * @returns {String?}           The root directory of the package, or null if there is none
+ */
+function findPackageRoot(directory) {
+  if (packageRootCache.has(directory)) {
+    return packageRootCache.get(directory);
+  }
+  let packageRoot = null;
+  const packageJson = readPackageJson(directory);
+  const parent = path.dirname(directory);
+  if (packageJson !== null && packageJson.name) {
+    packageRoot = directory;
+  } else if (parent !== directory) {
+    packageRoot = findPackageRoot(parent);
+  }
+  packageRootCache.set(directory, packageRoot);
+  return packageRoot;
+}
+
+/**
+ * Get the directory of a file, or the path itself if it is a directory
+ * @param   {String} filePath Path to a file or directory
+ * @returns {String}          The directory
+ */
+function directoryOf(filePath) {
+  try {
+    if (fs.statSync(filePath).isDirectory()) {
+      return filePath;
+    }
+  } catch {
+    // Treat paths that do not exist like files
+  }
+  return path.dirname(filePath);
+}
+
+/**
+ * Get the name of the package that a file or package directory belongs to.
+ * - Installed packages are identified by the directory following the *last* `node_modules` segment,
+ *   so that nested installs (`node_modules/a/node_modules/b`) are attributed to the innermost package
+ *   and scoped packages (`node_modules/@babel/core`) keep their scope
+ * - Everything else (the root package, workspace packages and linked packages, which are resolved to
+ *   their real path) is identified by the name in the closest package.json
+ * @param   {String}  filePath Absolute path to a file or to the root directory of a package
+ * @returns {String?}          Name of the package, or null if the path is not part of any package
+ */
+function packageNameFromPath(filePath) {
+  const pathParts = filePath.split(path.sep);
+  const nodeModulesIndex = pathParts.lastIndexOf('node_modules');
+  if (nodeModulesIndex !== -1) {
+    return nameAfterNodeModules(pathParts, nodeModulesIndex);
+  }
+  const packageRoot = findPackageRoot(directoryOf(filePath));
+  return packageRoot === null ? null : readPackageJson(packageRoot).name;
+}
+
+/**
+ * Get the name and the installed version of the package that a file or package directory belongs
+ * to. See `packageNameFromPath` for how the package is identified.
+ * @param   {String}  filePath Absolute path to a file or to the root directory of a package
+ * @returns {Object?}          Object containing the `name` and `version` (which may be null) of the package, or null if the path is not part of any package
+ */
+function packageFromPath(filePath) {
+  const name = packageNameFromPath(filePath);
+  if (name === null) {
+    return null;
+  }
+  const pathParts = filePath.split(path.sep);
+  const nodeModulesIndex = pathParts.lastIndexOf('node_modules');
+  let packageRoot;
+  if (nodeModulesIndex !== -1) {
+    const nameLength = name.split('/').length;
+    packageRoot = pathParts.slice(0, nodeModulesIndex + 1 + nameLength).join(path.sep);
+  } else {
+    packageRoot = findPackageRoot(directoryOf(filePath));
+  }
+  const packageJson = readPackageJson(packageRoot);
+  return { name: name, version: (packageJson && packageJson.version) || null };
+}
+
+/**
+ * Create the key identifying a package version in a policy, in the form `name@version`
+ * @param   {String}  name    The name of the package
+ * @param   {String?} version The version of the package, if known
+ * @returns {String}          The key, which is only the name if the version is unknown
+ */
+function packageKey(name, version) {
+  return version ? `${name}@${version}` : name;
+}
+
+/**
+ * Split a policy key in the form `name@version` into name and version. Keys of policies created
+ * before versions were recorded only consist of the name.
+ * @param   {String} key The policy key
+ * @returns {Object}     Object containing the `name` and `version` (null if the key has no version)
+ */
+function parsePackageKey(key) {
+  // The first character may be the `@` of a scope
+  const separatorIndex = key.lastIndexOf('@');
+  if (separatorIndex <= 0) {
+    return { name: key, version: null };
+  }
+  return { name: key.slice(0, separatorIndex), version: key.slice(separatorIndex + 1) };
+}
+
+/**
+ * Get the policy key of the package that a file or package directory belongs to
+ * @param   {String}  filePath Absolute path to a file or to the root directory of a package
+ * @returns {String?}          The key in the form `name@version`, or null if the path is not part of any package
+ */
+function packageKeyFromPath(filePath) {
+  const packageInfo = packageFromPath(filePath);
+  return packageInfo === null ? null : packageKey(packageInfo.name, packageInfo.version);
+}
+
+module.exports = {
+  packageFromPath: packageFromPath,
+  packageKey: packageKey,
+  packageKeyFromPath: packageKeyFromPath,
+  packageNameFromPath: packageNameFromPath,
+  parsePackageKey: parsePackageKey
+};
@@ -0,0 +1,227 @@
+"use strict";
+
+const { parsePackageKey } = require('./packageIdentity.js');
+const { attachEvidence } = require('./evidence.js');
+const { CAPABILITY_KINDS, capabilityCategory } = require('./categories.js');
+const { capabilitySeverity } = require('./severity.js');
+const { coversCapability } = require('./memberPaths.js');
+const { describeEnvironmentVariable } = require('./environment.js');
+require('./setUtils.js'); // adds `union` and `intersection` to Set prototype
+
+/**
+ * Describe a package of a policy diff for the console output, e.g. `lodash 4.17.20 → 4.17.21` if the
+ * package was updated
+ * @param   {String} key      The policy key of the package
+ * @param   {Object} change   The diff entry of the package
+ * @returns {String}          The description
+ */
+function describeDiffPackage(key, change) {
+  const { name, version } = parsePackageKey(key);
+  const previousVersions = change.previousVersions.filter((previousVersion) => previousVersion !== version);
+  if (previousVersions.length === 0 || version === null) {
+    return key;
+  }
+  return `${name} ${previousVersions.join(', ')} → ${version}`;
+}
+
+// The sections of a policy entry. Only coarse entries have a `dynamicCode` and an `environment`
+// section, and policies created before dynamic code execution or environment variables were tracked
+// lack them.
+const CAPABILITY_TYPES = ['modules', 'globals', 'dynamicCode', 'environment'];
+
+/**
+ * Get the trusted capabilities of a package version from the old policy. If the old policy has no
+ * entry for this exact version (e.g. because the package was updated), the capabilities of all
+ * versions of the package in the old policy are trusted.
+ * @param   {Object} oldPolicy The old policy
+ * @param   {String} key       The policy key of the package in the new policy
+ * @returns {Object}           The trusted `modules`, `globals`, `dynamicCode` and `environment` and the `previousVersions` they stem from
+ */
+function trustedCapabilities(oldPolicy, key) {
+  if (oldPolicy[key] !== undefined) {
+    return {
+      modules: oldPolicy[key]['modules'],
+      globals: oldPolicy[key]['globals'],
+      dynamicCode: oldPolicy[key]['dynamicCode'] || [],
+      environment: oldPolicy[key]['environment'] || [],
+      previousVersions: [parsePackageKey(key).version]
+    };
+  }
+  const { name } = parsePackageKey(key);
+  const trusted = { modules: new Set(), globals: new Set(), dynamicCode: new Set(), environment: new Set() };
+  const previousVersions = [];
+  for (const oldKey of Object.keys(oldPolicy)) {
+    const { name: oldName, version: oldVersion } = parsePackageKey(oldKey);
+    if (oldName === name) {
+      for (const capabilityType of CAPABILITY_TYPES) {
+        trusted[capabilityType] = trusted[capabilityType].union(oldPolicy[oldKey][capabilityType] || []);
+      }
+      if (oldVersion !== null) {
+        previousVersions.push(oldVersion);
+      }
+    }
+  }
+  return {
+    modules: Array.from(trusted.modules),
+    globals: Array.from(trusted.globals),
+    dynamicCode: Array.from(trusted.dynamicCode),
+    environment: Array.from(trusted.environment),
+    previousVersions: previousVersions
+  };
+}
+
+/**
+ * Get the names of all packages in a policy
+ * @param   {Object}      policy The policy
+ * @returns {Set<String>}        The package names, without versions
+ */
+function packageNames(policy) {
+  return new Set(Object.keys(policy).map((key) => parsePackageKey(key).name));
+}
+
+/**
+ * Create the difference between the new policy and the old policy. Members that are part of a
+ * trusted member, e.g. `process.env.HOME` of `process.env`, are not added.
+ * @param   {Object} oldPolicy The old policy
+ * @param   {Object} newPolicy The new policy
+ * @returns {Object}           The `addedPackages` (keys of packages not in the old policy in any version), the `removedPackages` (keys of packages not in the new policy in any version) and the `changes` of each package in the new policy: the `added` and `removed` `modules`, `globals`, `dynamicCode` and `environment`, along with the `previousVersions` they are compared against
+ */
+function policyDiff(oldPolicy, newPolicy) {
+  oldPolicy = oldPolicy || {};
+  const oldNames = packageNames(oldPolicy);
+  const newNames = packageNames(newPolicy);
+  const changes = {};
+  for (const key of Object.keys(newPolicy)) {
+    const trusted = trustedCapabilities(oldPolicy, key);
+    const change = {
+      added: { modules: [], globals: [], dynamicCode: [], environment: [] },
+      removed: { modules: [], globals: [], dynamicCode: [], environment: [] },
+      previousVersions: trusted.previousVersions
+    };
+    for (const capabilityType of CAPABILITY_TYPES) {
+      const current = newPolicy[key][capabilityType] || [];
+      change.added[capabilityType] = current.filter((capability) => !coversCapability(trusted[capabilityType], capability));
+      change.removed[capabilityType] = trusted[capabilityType].filter((capability) => !current.includes(capability));
+    }
+    if (CAPABILITY_TYPES.some((capabilityType) => change.added[capabilityType].length + change.removed[capabilityType].length > 0)) {
+      changes[key] = change;
+    }
+  }
+  return {
+    addedPackages: Object.keys(newPolicy).filter((key) => !oldNames.has(parsePackageKey(key).name)),
+    removedPackages: Object.keys(oldPolicy).filter((key) => !newNames.has(parsePackageKey(key).name)),
+    changes: changes
+  };
+}
+
+/**
+ * Templates for the messages describing added and removed packages
+ */
+const PACKAGE_MESSAGES = {
+  packageAdded: (pkg) => `New package ${pkg} was added.`,
+  packageRemoved: (pkg) => `Package ${pkg} was removed.`
+};
+
+/**
+ * Templates for the messages describing added and removed capabilities, by policy granularity and kind
+ */
+const FINDING_MESSAGES = {
+  coarse: {
+    module: {
+      capabilityAdded: (pkg, module) => `Package ${pkg} now imports previously not imported module ${module}.`,
+      capabilityRemoved: (pkg, module) => `Package ${pkg} no longer imports module ${module}.`
+    },
+    global: {
+      capabilityAdded: (pkg, global) => `Package ${pkg} now uses previously unused global ${global}.`,
+      capabilityRemoved: (pkg, global) => `Package ${pkg} no longer uses global ${global}.`
+    },
+    dynamicCode: {
+      capabilityAdded: (pkg, form) => `Package ${pkg} now executes dynamic code through ${form}.`,
+      capabilityRemoved: (pkg, form) => `Package ${pkg} no longer executes dynamic code through ${form}.`
+    },
+    environmentVariable: {
+      capabilityAdded: (pkg, variable) => `Package ${pkg} now reads ${describeEnvironmentVariable(variable)}, which it did not read before.`,
+      capabilityRemoved: (pkg, variable) => `Package ${pkg} no longer reads ${describeEnvironmentVariable(variable)}.`
+    }
+  },
+  fine: {
+    moduleMember: {
+      capabilityAdded: (pkg, member) => `Package ${pkg} now accesses previously unaccessed module member ${member}.`,
+      capabilityRemoved: (pkg, member) => `Package ${pkg} no longer accesses module member ${member}.`
+    },
+    globalMember: {
+      capabilityAdded: (pkg, member) => `Package ${pkg} now accesses previously unaccessed global member ${member}.`,
+      capabilityRemoved: (pkg, member) => `Package ${pkg} no longer accesses global member ${member}.`
+    }
+  }
+};
+
+/**
+ * Create a list of findings describing the difference between two policies: one for each added and
+ * removed package, and one for each capability that was added to or removed from a package. Added
+ * and removed packages are only reported for the coarse granularity, to avoid reporting them twice.
+ * @param   {Object}   oldPolicy   The old policy of the given granularity
+ * @param   {Object}   newPolicy   The new policy of the given granularity
+ * @param   {String}   granularity `coarse` for modules, globals, dynamic code and environment variables, `fine` for members
+ * @returns {Object[]}             The findings, containing the `package` key, the `change` (`packageAdded`, `packageRemoved`, `capabilityAdded` or `capabilityRemoved`), the `kind`, name and `category` of the `capability` (null for package changes), its `severity` (null for anything but added capabilities) and a `message`
+ */
+function diffFindings(oldPolicy, newPolicy, granularity) {
+  const findings = [];
+  const { addedPackages, removedPackages, changes } = policyDiff(oldPolicy, newPolicy || {});
+  const packageFinding = (key, change) => ({
+    package: key,
+    change: change,
+    kind: null,
+    capability: null,
+    category: null,
+    severity: null,
+    message: PACKAGE_MESSAGES[change](key)
+  });
+  if (granularity === 'coarse') {
+    findings.push(...addedPackages.map((key) => packageFinding(key, 'packageAdded')));
+    findings.push(...removedPackages.map((key) => packageFinding(key, 'packageRemoved')));
+  }
+  for (const key of Object.keys(changes)) {
+    const pkg = describeDiffPackage(key, changes[key]);
+    for (const change of ['capabilityAdded', 'capabilityRemoved']) {
+      const capabilities = change === 'capabilityAdded' ? changes[key].added : changes[key].removed;
+      for (const [capabilityType, kind] of Object.entries(CAPABILITY_KINDS[granularity])) {
+        for (const capability of capabilities[capabilityType]) {
+          findings.push({
+            package: key,
+            change: change,
+            kind: kind,
+            capability: capability,
+            category: capabilityCategory(kind, capability),
+            severity: change === 'capabilityAdded' ? capabilitySeverity(kind, capability) : null,
+            message: FINDING_MESSAGES[granularity][kind][change](pkg, capability)
+          });
+        }
+      }
+    }
+  }
+  return findings;
+}
+
+/**
+ * Create a list of findings describing the difference between two complete policies. Member
+ * accesses are only compared if the new policy was created with member access tracing. Added
+ * capabilities include the source locations recorded in the new policy, if any.
+ * @param   {Object}   oldPolicy The complete old policy
+ * @param   {Object}   newPolicy The complete new policy
+ * @returns {Object[]}           The findings of both granularities, see `diffFindings`
+ */
+function policyFindings(oldPolicy, newPolicy) {
+  let findings = attachEvidence(diffFindings(oldPolicy.policyCoarse, newPolicy.policyCoarse, 'coarse'), newPolicy.evidence);
+  if (newPolicy.memberAccessTracing) {
+    findings = findings.concat(attachEvidence(diffFindings(oldPolicy.policyFine, newPolicy.policyFine, 'fine'), newPolicy.evidence));
+  }
+  return findings;
+}
+
+module.exports = {
+  diffFindings: diffFindings,
+  policyDiff: policyDiff,
+  policyFindings: policyFindings,
+  trustedCapabilities: trustedCapabilities
+};
@@ -0,0 +1,154 @@
+"use strict";
+
+const { isDeepStrictEqual } = require('util');
+
+const { parsePackageKey } = require('./packageIdentity.js');
+const { CAPABILITY_KINDS } = require('./categories.js');
+const { trustedCapabilities } = require('./policyDiff.js');
+const { coversCapability } = require('./memberPaths.js');
+const { denyingRule, ruleSectionOf } = require('./overrides.js');
+require('./setUtils.js'); // adds `union` and `intersection` to Set prototype
+
+/**
+ * Create a function that indicates whether a package is selected by the `--package` filter
+ * @param   {String[]} packageFilter Package names or `name@version` keys. If empty, all packages are selected
+ * @returns {Function}               Function taking a policy key, returning true if the package is selected
+ */
+function packageSelector(packageFilter) {
+  if (packageFilter.length === 0) {
+    return () => true;
+  }
+  return (key) => packageFilter.includes(key) || packageFilter.includes(parsePackageKey(key).name);
+}
+
+/**
+ * Merge the scanned policy of a specific granularity into the stored one. The stored policy holds the
+ * approved capabilities, which are never removed from a package:
+ * - packages that were scanned get the union of their scanned and approved capabilities, where the
+ *   approved capabilities of an updated package are those of its previous versions, and members that
+ *   are part of an approved member (e.g. `process.env.HOME` of `process.env`) or denied by a deny rule
+ *   are left out
+ * - packages that were not scanned (e.g. because they are temporarily not installed) are kept
+ * - previous versions of scanned packages are dropped, as their capabilities carry over to the
+ *   scanned versions
+ * A recorded policy (see `recordedPolicy`) only holds the capabilities that were used while recording,
+ * so if it is merged, no packages are dropped, and only the added capabilities are reported as changes.
+ * @param   {Object}   oldPolicy   The stored policy of the given granularity
+ * @param   {Object}   newPolicy   The scanned or recorded policy of the given granularity
+ * @param   {String}   granularity `coarse` for modules, globals, dynamic code and environment variables, `fine` for members
+ * @param   {Function} isSelected  Function indicating whether a package key is selected for the update
+ * @param   {Object[]} denyRules   The deny rules of the merged policy
+ * @param   {boolean}  isRecorded  true if the new policy is a recorded policy, else false
+ * @returns {Object}               The merged `policy`, and the `changes` of the merge, containing the `package` key, the `change` (`added`, `kept` or `dropped`), the `kind` and name of the `capability` (null if the change affects the whole package) and the `reason`
+ */
+function mergeGranularPolicies(oldPolicy, newPolicy, granularity, isSelected, denyRules, isRecorded) {
+  oldPolicy = oldPolicy || {};
+  newPolicy = newPolicy || {};
+  const policy = {};
+  const changes = [];
+  const scannedKeys = Object.keys(newPolicy).filter(isSelected);
+  const scannedNames = new Set(scannedKeys.map((key) => parsePackageKey(key).name));
+
+  for (const key of Object.keys(oldPolicy)) {
+    if (!isSelected(key) || scannedKeys.includes(key) || isRecorded) {
+      policy[key] = oldPolicy[key];
+    } else if (scannedNames.has(parsePackageKey(key).name)) {
+      changes.push({ package: key, change: 'dropped', kind: null, capability: null, reason: 'superseded by the installed version' });
+    } else {
+      policy[key] = oldPolicy[key];
+      changes.push({ package: key, change: 'kept', kind: null, capability: null, reason: 'not installed' });
+    }
+  }
+
+  for (const key of scannedKeys) {
+    const approved = trustedCapabilities(oldPolicy, key);
+    const isNewPackage = !Object.keys(oldPolicy).some((oldKey) => parsePackageKey(oldKey).name === parsePackageKey(key).name);
+    policy[key] = {};
+    for (const [capabilityType, kind] of Object.entries(CAPABILITY_KINDS[granularity])) {
+      const scanned = new Set(newPolicy[key][capabilityType]);
+      const approvedCapabilities = new Set(approved[capabilityType]);
+      // e.g. `process.env.HOME` is already approved with `process.env`. Deny rules kept from the stored
+      // policy were not applied to the scan.
+      const added = Array.from(scanned).filter((capability) => !coversCapability(approved[capabilityType], capability) &&
+                                                               denyingRule(denyRules, key, ruleSectionOf(kind), capability) === null);
+      for (const capability of added) {
+        changes.push({ package: key, change: 'added', kind: kind, capability: capability, reason: isNewPackage ? 'new package' : isRecorded ? 'recorded at runtime' : 'newly detected' });
+      }
+      for (const capability of approvedCapabilities) {
+        if (!scanned.has(capability) && !isRecorded) {
+          changes.push({ package: key, change: 'kept', kind: kind, capability: capability, reason: 'approved, but no longer detected' });
+        }
+      }
+      policy[key][capabilityType] = Array.from(approvedCapabilities.union(added)).sort();
+    }
+  }
+  return { policy: policy, changes: changes };
+}
+
+/**
+ * Merge the deny or action rules of the scanned policy into the stored ones. If no override file was
+ * applied to the scan, the stored rules are kept. Else the rules of the override file replace the
+ * stored ones, and stored rules that are no longer in the file are dropped.
+ * @param   {Object[]?} oldRules    The stored rules, undefined if the stored policy has none
+ * @param   {Object[]?} newRules    The rules of the scanned policy, undefined if no override file was applied
+ * @param   {String}    ruleSection The section of the rules, `deny` or `actions`
+ * @returns {Object}                The merged `rules` (undefined if neither policy has any), and the `changes` of the merge, containing the `ruleSection`, the `rule`, the `change` (`kept` or `dropped`) and the `reason`
+ */
+function mergeRules(oldRules, newRules, ruleSection) {
+  const ruleChange = (rule, change, reason) => ({ package: null, change: change, kind: null, capability: null, ruleSection: ruleSection, rule: rule, reason: reason });
+  if (newRules === undefined) {
+    return { rules: oldRules, changes: (oldRules || []).map((rule) => ruleChange(rule, 'kept', 'no override file was applied')) };
+  }
+  const dropped = (oldRules || []).filter((rule) => !newRules.some((newRule) => isDeepStrictEqual(rule, newRule)));
+  return { rules: newRules, changes: dropped.map((rule) => ruleChange(rule, 'dropped', 'no longer in the override file')) };
+}
+
+/**
+ * Merge a scanned policy into the stored policy, updating only the selected packages and keeping all
+ * approved capabilities (see `mergeGranularPolicies`) and the recorded reviews. The deny and action
+ * rules are merged with `mergeRules`, so they are kept unless an override file replaces them. Member
+ * accesses are only merged if the scanned policy was created with member access tracing.
+ * @param   {Object}   oldPolicy     The complete stored policy
+ * @param   {Object}   newPolicy     The complete scanned policy, or a recorded policy
+ * @param   {String[]} packageFilter Package names or `name@version` keys to update. If empty, all packages are updated
+ * @param   {boolean}  isRecorded    true if the new policy was recorded at runtime, which adds its capabilities to the stored policy without dropping any package
+ * @returns {Object}                 The merged `policy` and the `changes` of the merge, see `mergeGranularPolicies` and `mergeRules`
+ */
+function mergePolicies(oldPolicy, newPolicy, packageFilter = [], isRecorded = false) {
+  const isSelected = packageSelector(packageFilter);
+  const deny = mergeRules(oldPolicy.deny, newPolicy.deny, 'deny');
+  const actions = mergeRules(oldPolicy.actions, newPolicy.actions, 'actions');
+  const coarse = mergeGranularPolicies(oldPolicy.policyCoarse, newPolicy.policyCoarse, 'coarse', isSelected, deny.rules || [], isRecorded);
+  let fine = { policy: oldPolicy.policyFine || {}, changes: [] };
+  if (newPolicy.memberAccessTracing) {
+    fine = mergeGranularPolicies(oldPolicy.policyFine, newPolicy.policyFine, 'fine', isSelected, deny.rules || [], isRecorded);
+  }
+  const policy = {
+    memberAccessTracing: oldPolicy.memberAccessTracing === true || newPolicy.memberAccessTracing === true,
+    policyCoarse: coarse.policy,
+    policyFine: fine.policy
+  };
+  if (deny.rules !== undefined) {
+    policy.deny = deny.rules;
+  }
+  if (actions.rules !== undefined) {
+    policy.actions = actions.rules;
+  }
+  if (oldPolicy.reviews) {
+    policy.reviews = oldPolicy.reviews;
+  }
+  if (oldPolicy.evidence || newPolicy.evidence) {
+    policy.evidence = {};
+    for (const key of Object.keys(policy.policyCoarse)) {
+      const evidence = (isSelected(key) && newPolicy.evidence && newPolicy.evidence[key]) || (oldPolicy.evidence && oldPolicy.evidence[key]);
+      if (evidence) {
+        policy.evidence[key] = evidence;
+      }
+    }
+  }
+  return { policy: policy, changes: coarse.changes.concat(fine.changes, deny.changes, actions.changes) };
+}
+
+module.exports = {
+  mergePolicies: mergePolicies
+};
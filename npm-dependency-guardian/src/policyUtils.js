@@ -0,0 +1,1239 @@
+"use strict";
+
+const fs = require('fs');
+const { fileURLToPath } = require('url');
+const { packageKeyFromPath, parsePackageKey } = require('./packageIdentity.js');
+const { deniesPartsOf, denyingRule, violationAction } = require('./overrides.js');
+const { coversCapability, listsPartsOf } = require('./memberPaths.js');
+const {
+  DYNAMIC_CODE_GLOBALS,
+  DYNAMIC_CODE_GLOBAL_MEMBERS,
+  DYNAMIC_CODE_MODULE_MEMBERS,
+  STRING_CALLBACK_GLOBALS
+} = require('./dynamicCode.js');
+const { replaceGlobals } = require('./replaceGlobals.js');
+const { log: colorLog } = require('./colorLog.js');
+
+// The enforcement modes: `enforce` blocks the capabilities a package is not allowed to use, `audit`
+// only reports them to the violation log, `record` reports every capability a package uses to the
+// recording, and `off` neither restricts nor reports anything
+const ENFORCEMENT_MODES = ['enforce', 'audit', 'record', 'off'];
+const mode = process.env.GUARDIAN_MODE || 'enforce';
+if (!ENFORCEMENT_MODES.includes(mode)) {
+  throw Error(`Unknown enforcement mode ${mode}, expected one of ${ENFORCEMENT_MODES.join(', ')}.`);
+}
+
+// Whether the enforcement reads a policy. In `record` mode, every capability is reported as if no
+// package was allowed to use anything, including individual members.
+const usesPolicy = mode === 'enforce' || mode === 'audit';
+const policyPath = process.env.GUARDIAN_POLICY_PATH || '/tmp/node_policy.json';
+if (usesPolicy && !fs.existsSync(policyPath)) {
+  throw Error(`Could not find policy at ${policyPath}.`)
+}
+const { policyCoarse, policyFine, memberAccessTracing, deny = [], actions = [] } = usesPolicy ?
+  JSON.parse(fs.readFileSync(policyPath)) : { policyCoarse: {}, policyFine: {}, memberAccessTracing: mode === 'record' };
+if (policyCoarse === undefined || (memberAccessTracing && policyFine === undefined)) {
+  throw Error('Missing required policy in policy file.');
+}
+
+const violationLogPath = mode === 'record' ?
+  process.env.GUARDIAN_RECORDING_PATH || '/tmp/node_recording.jsonl' :
+  process.env.GUARDIAN_VIOLATION_LOG || '/tmp/node_violations.jsonl';
+// Messages about the restrictions are only printed when debugging, as they would end up in the output
+// of the application
+const debug = Boolean(process.env.GUARDIAN_DEBUG);
+
+function log(s, fgColor='magenta', bgColor='black') {
+  if (debug) {
+    colorLog(s, fgColor, bgColor);
+  }
+}
+
+// The stack trace API, captured before any package code runs. Packages could replace or lock its
+// members to forge the call stack that identifies who loads a module.
+const OriginalError = Error;
+const { captureStackTrace } = Error;
+const { defineProperty, getOwnPropertyDescriptor } = Object;
+const { apply } = Reflect;
+// Members of Error that are changed while the call stack is captured
+const STACK_TRACE_PROPERTIES = {
+  prepareStackTrace: (error, callSites) => callSites,
+  stackTraceLimit: Infinity
+};
+// Whether the call stack is being captured, during which the isolated `Error.prepareStackTrace`
+// returns the genuine call sites, see `isolateStackTraceAPI`
+let capturingCallSites = false;
+
+
+// Caches the policy entries of packages, keyed by policy and package key
+const policyEntryCache = new Map();
+
+/**
+ * Get the policy entry of a package. If the installed version of the package has no entry of its own
+ * (e.g. because it was updated after the policy was created), the capabilities of the trusted
+ * versions of the package in the policy apply.
+ * @param   {Object} policy     The (coarse or fine) policy
+ * @param   {String} packageKey Policy key (`name@version`) of the package
+ * @returns {Object}            The policy entry containing the allowed `modules`, `globals` and `dynamicCode`
+ */
+function policyEntry(policy, packageKey) {
+  if (policy[packageKey] !== undefined) {
+    return policy[packageKey];
+  }
+  if (!policyEntryCache.has(policy)) {
+    policyEntryCache.set(policy, new Map());
+  }
+  const cache = policyEntryCache.get(policy);
+  if (!cache.has(packageKey)) {
+    const { name } = parsePackageKey(packageKey || '');
+    const entry = { modules: [], globals: [], dynamicCode: [] };
+    for (const key of Object.keys(policy)) {
+      if (parsePackageKey(key).name === name) {
+        entry.modules = entry.modules.concat(policy[key].modules);
+        entry.globals = entry.globals.concat(policy[key].globals);
+        entry.dynamicCode = entry.dynamicCode.concat(policy[key].dynamicCode || []);
+      }
+    }
+    cache.set(packageKey, entry);
+  }
+  return cache.get(packageKey);
+}
+
+/**
+ * Indicates whether a package is allowed to use a certain module member. A member that is part of an
+ * allowed member is allowed (e.g. `fs.promises.readFile` if `fs.promises` is), as is a member of
+ * which only some parts are allowed (e.g. `fs.promises` if `fs.promises.readFile` is), whose other
+ * parts are restricted, see `restrictedPartsOf`.
+ * @param   {String} importingPackageKey  Policy key (`name@version`) of the package
+ * @param   {String} capability           Path of the module and its (nested) member, separated by `.`
+ * @return  {boolean}                     true if allowed to use, else false
+ */
+function allowedToUseModuleMember(importingPackageKey, capability) {
+  if (denyingRule(deny, importingPackageKey, 'moduleMembers', capability) !== null) {
+    return false;
+  }
+  const allowed = policyEntry(policyFine, importingPackageKey)["modules"];
+  return coversCapability(allowed, capability) || listsPartsOf(allowed, capability);
+}
+
+/**
+ * Indicates whether a package is allowed to import a certain built-in module. Deny rules of the
+ * overrides take precedence over the policy entries, as for the other capabilities.
+ * @param   {String} importingPackageKey  Policy key (`name@version`) of the package
+ * @param   {String} importedPath         Name of the module that is being imported
+ * @return  {boolean}                     true if allowed to import, else false
+ */
+function allowedToImport(importingPackageKey, importedPath) {
+  if (denyingRule(deny, importingPackageKey, 'modules', importedPath) !== null) {
+    return false;
+  }
+  return policyEntry(policyCoarse, importingPackageKey)["modules"].includes(importedPath);
+}
+
+/**
+ * Indicates whether a package is allowed to use a certain global member, including nested members
+ * like module members, see `allowedToUseModuleMember`
+ * @param   {String} importingPackageKey  Policy key (`name@version`) of the package
+ * @param   {String} capability           Path of the global and its (nested) member, separated by `.`
+ * @return  {boolean}                     true if allowed to use, else false
+ */
+function allowedToUseGlobalMember(importingPackageKey, capability) {
+  if (denyingRule(deny, importingPackageKey, 'globalMembers', capability) !== null) {
+    return false;
+  }
+  const allowed = policyEntry(policyFine, importingPackageKey)["globals"];
+  return coversCapability(allowed, capability) || listsPartsOf(allowed, capability);
+}
+
+// Caches whether packages may only use some parts of members, keyed by package, kind and member
+const restrictedPartsCache = new Map();
+/**
+ * Indicates whether a package may only use some of the members that are part of a member it may use,
+ * e.g. only `fs.promises.readFile` of `fs.promises`, or all environment variables but the denied
+ * `process.env.SECRET` of `process.env`. The member is then handed out as a restricted view itself.
+ * @param   {String?} packageKey Policy key (`name@version`) of the package
+ * @param   {String}  kind       The kind of the member, i.e. `moduleMembers` or `globalMembers`
+ * @param   {String}  capability Path of the module or global and the member, separated by `.`
+ * @returns {boolean}            true if some parts of the member are restricted, else false
+ */
+function restrictedPartsOf(packageKey, kind, capability) {
+  if (memberAccessTracing !== true) {
+    return false;
+  }
+  const cacheKey = JSON.stringify([packageKey, kind, capability]);
+  if (!restrictedPartsCache.has(cacheKey)) {
+    const allowed = policyEntry(policyFine, packageKey)[kind === 'moduleMembers' ? 'modules' : 'globals'];
+    restrictedPartsCache.set(cacheKey, (!coversCapability(allowed, capability) && listsPartsOf(allowed, capability)) ||
+                                       deniesPartsOf(deny, packageKey, kind, capability));
+  }
+  return restrictedPartsCache.get(cacheKey);
+}
+
+/**
+ * Indicates whether a package is allowed to access a certain global object
+ * @param   {String}  importingPackageKey  Policy key (`name@version`) of the package
+ * @param   {String}  globalName           Name of the global object
+ * @returns {boolean}                      true if allowed to access, else false
+ */
+function allowedToAccessGlobal(importingPackageKey, globalName) {
+  if (denyingRule(deny, importingPackageKey, 'globals', globalName) !== null) {
+    return false;
+  }
+  return policyEntry(policyCoarse, importingPackageKey)["globals"].includes(globalName);
+}
+
+/**
+ * Indicates whether a package is allowed to execute dynamic code in a certain form. Policies created
+ * before dynamic code execution was tracked allow none.
+ * @param   {String}  importingPackageKey  Policy key (`name@version`) of the package
+ * @param   {String}  form                 The form of dynamic code execution, e.g. `eval` or `vm.runInThisContext`
+ * @returns {boolean}                      true if allowed to execute, else false
+ */
+function allowedToRunDynamicCode(importingPackageKey, form) {
+  if (denyingRule(deny, importingPackageKey, 'dynamicCode', form) !== null) {
+    return false;
+  }
+  return (policyEntry(policyCoarse, importingPackageKey)["dynamicCode"] || []).includes(form);
+}
+
+/**
+ * Capture the call stack below a function as V8 CallSite objects (see https://v8.dev/docs/stack-trace-api)
+ * @param   {Function}  boundary The function whose frame, and the frames of the functions it called, are left out
+ * @returns {Object[]?}          The call sites, or null if a package tampered with the stack trace API
+ */
+function captureCallSites(boundary) {
+  const errorDescriptor = getOwnPropertyDescriptor(globalThis, 'Error');
+  if (errorDescriptor === undefined || errorDescriptor.value !== OriginalError) {
+    return null;
+  }
+  const descriptors = {};
+  const holder = {};
+  let callSites = null;
+  try {
+    for (const [name, value] of Object.entries(STACK_TRACE_PROPERTIES)) {
+      descriptors[name] = getOwnPropertyDescriptor(OriginalError, name);
+      if (descriptors[name] !== undefined && descriptors[name].get === getPrepareStackTrace) {
+        capturingCallSites = true;
+      } else {
+        defineProperty(OriginalError, name, { value: value, writable: true, configurable: true });
+      }
+    }
+    apply(captureStackTrace, OriginalError, [holder, boundary]);
+    callSites = holder.stack;
+  } catch {
+    // A package made the members of Error non-configurable
+    return null;
+  } finally {
+    capturingCallSites = false;
+    for (const [name, descriptor] of Object.entries(descriptors)) {
+      if (descriptor === undefined) {
+        delete OriginalError[name];
+      } else {
+        defineProperty(OriginalError, name, descriptor);
+      }
+    }
+  }
+  return Array.isArray(callSites) ? callSites : null;
+}
+
+// The call stack of the top-level code of this module
+const moduleCallSites = captureCallSites(captureCallSites);
+// The prototype of V8 call sites, whose `getFileName` only accepts genuine call sites
+const CallSitePrototype = Object.getPrototypeOf(moduleCallSites[0]);
+const { getFileName } = CallSitePrototype;
+// The file of this module. Its frames are skipped when identifying a caller, as the code compiled by
+// `evaluateIsolated` is called from it.
+const OWN_FILE_NAME = apply(getFileName, moduleCallSites[0], []);
+
+// The genuine call sites, by the call sites that are handed to `Error.prepareStackTrace` in their place
+const genuineCallSites = new WeakMap();
+
+// The prototype of the call sites handed to `Error.prepareStackTrace`. Their methods forward to the
+// genuine call site, except for `getThis` and `getFunction`: in sloppy mode functions, `this` is the
+// real global object, which V8 only hides for strict mode code.
+const IsolatedCallSitePrototype = {};
+for (const name of Object.getOwnPropertyNames(CallSitePrototype)) {
+  const method = CallSitePrototype[name];
+  if (name === 'getThis' || name === 'getFunction') {
+    IsolatedCallSitePrototype[name] = function () { return undefined; };
+  } else if (name !== 'constructor') {
+    IsolatedCallSitePrototype[name] = function (...args) { return apply(method, genuineCallSites.get(this), args); };
+  }
+}
+
+// The `Error.prepareStackTrace` function set by packages, see `isolateStackTraceAPI`
+let prepareStackTrace = OriginalError.prepareStackTrace;
+// The wrappers handed out as `Error.prepareStackTrace`, by the function they wrap and vice versa.
+// Packages commonly save and later restore the current value, which must restore the wrapped function.
+const stackTraceWrappers = new WeakMap();
+const wrappedStackTracePreparers = new WeakMap();
+
+/**
+ * Wrap an `Error.prepareStackTrace` function set by a package, so that it is passed isolated call
+ * sites instead of the genuine ones
+ * @param   {Function} prepare The function set by the package
+ * @returns {Function}         The wrapper
+ */
+function isolatedStackTracePreparer(prepare) {
+  if (!stackTraceWrappers.has(prepare)) {
+    const wrapper = function (error, callSites) {
+      const isolatedCallSites = callSites.map((callSite) => {
+        const isolated = Object.create(IsolatedCallSitePrototype);
+        genuineCallSites.set(isolated, callSite);
+        return isolated;
+      });
+      return apply(prepare, this, [error, isolatedCallSites]);
+    };
+    stackTraceWrappers.set(prepare, wrapper);
+    wrappedStackTracePreparers.set(wrapper, prepare);
+  }
+  return stackTraceWrappers.get(prepare);
+}
+
+/**
+ * Getter of the isolated `Error.prepareStackTrace`
+ * @returns {Function?} The function V8 prepares stack traces with
+ */
+function getPrepareStackTrace() {
+  if (capturingCallSites) {
+    return STACK_TRACE_PROPERTIES.prepareStackTrace;
+  }
+  return typeof prepareStackTrace === 'function' ? isolatedStackTracePreparer(prepareStackTrace) : prepareStackTrace;
+}
+
+/**
+ * Hand isolated call sites to the `Error.prepareStackTrace` functions set by packages
+ */
+function isolateStackTraceAPI() {
+  defineProperty(OriginalError, 'prepareStackTrace', {
+    get: getPrepareStackTrace,
+    set: (value) => {
+      prepareStackTrace = wrappedStackTracePreparers.has(value) ? wrappedStackTracePreparers.get(value) : value;
+    },
+    enumerable: false,
+    configurable: false
+  });
+}
+
+/**
+ * Get the path of the file that called a function of the module system, from the call stack. Unlike
+ * the module whose `require` is called (which may be e.g. `require.main`, another module from
+ * `require.cache` or a module made by `createRequire` for another package's file), the caller cannot
+ * be chosen by the calling code. Frames of NodeJS itself, of this module and of code without a file
+ * are skipped.
+ * @param   {Function} boundary The function of the module system, e.g. the hook of `Module._load`
+ * @returns {String?}           The path of the calling file, or null if it can't be determined
+ */
+function callerPath(boundary) {
+  return callingFile(captureCallSites(boundary));
+}
+
+/**
+ * Get the path of the first file on a call stack, skipping the frames that `callerPath` skips
+ * @param   {Object[]?} callSites The call sites, see `captureCallSites`
+ * @returns {String?}             The path of the file, or null if it can't be determined
+ */
+function callingFile(callSites) {
+  if (callSites === null) {
+    return null;
+  }
+  for (const callSite of callSites) {
+    let fileName;
+    try {
+      fileName = apply(getFileName, callSite, []);
+    } catch {
+      // Forged call site
+      return null;
+    }
+    if (typeof fileName !== 'string' || fileName === '' || fileName.startsWith('node:') || fileName === OWN_FILE_NAME) {
+      continue;
+    }
+    // Code of a `data:` module is attributed to the module importing it, see `importerScopedURL`
+    return fileName.startsWith('file:') || fileName.startsWith('data:') ? importingPath(fileName) : fileName;
+  }
+  return null;
+}
+
+// Captured before any package code runs, as a package could replace it to survive its termination
+const exitProcess = process.exit.bind(process);
+
+/**
+ * Create the error thrown when a package uses a capability it is not allowed to use
+ * @param   {String?} packageKey Policy key (`name@version`) of the package
+ * @param   {String}  capability The capability, e.g. `child_process` or `process.env`
+ * @returns {Error}              The error, with the code `ERR_GUARDIAN_CAPABILITY_DENIED`
+ */
+function capabilityDeniedError(packageKey, capability) {
+  const error = new OriginalError(`Package ${packageKey} is not allowed to use ${capability}.`);
+  error.code = 'ERR_GUARDIAN_CAPABILITY_DENIED';
+  error.package = packageKey;
+  error.capability = capability;
+  return error;
+}
+
+// The violations that have been reported, by package, capability and calling file
+const reportedViolations = new Set();
+// File descriptor of the violation log, which is opened on the first violation
+let violationLog = null;
+
+/**
+ * Report the use of a capability that a package is not allowed to use, by appending a JSON line to
+ * the violation log (or the recording in `record` mode), and take the action of the policy for it in
+ * `enforce` mode (see `violationAction`). Each capability is reported once per package and calling
+ * file.
+ * @param   {String?}  packageKey Policy key (`name@version`) of the package, or null if it is unknown
+ * @param   {String}   kind       The kind of capability, i.e. `modules`, `moduleMembers`, `globals`, `globalMembers` or `dynamicCode`
+ * @param   {String}   capability The capability, e.g. `child_process` or `process.env`
+ * @param   {Function} boundary   The function through which the capability is used, whose frame is left out of the stack
+ * @param   {String?}  caller     Path of the file using the capability, if known. By default, it is taken from the stack.
+ * @returns {boolean}             true if the use is blocked by a dummy, false if it is only reported
+ * @throws  {Error}               If the action is `throw`, see `capabilityDeniedError`
+ */
+function reportViolation(packageKey, kind, capability, boundary, caller) {
+  if (mode === 'off') {
+    return false;
+  }
+  const callSites = captureCallSites(boundary);
+  if (caller === undefined) {
+    caller = callingFile(callSites);
+  }
+  const action = violationAction(actions, packageKey, kind, capability);
+  const key = JSON.stringify([packageKey, capability, caller]);
+  if (!reportedViolations.has(key)) {
+    reportedViolations.add(key);
+    const violation = {
+      time: new Date().toISOString(),
+      mode: mode,
+      package: packageKey,
+      kind: kind,
+      capability: capability,
+      action: mode === 'record' ? undefined : action,
+      caller: caller,
+      stack: callSites === null ? null : callSites.map((callSite) => apply(CallSitePrototype.toString, callSite, []))
+    };
+    if (violationLog === null) {
+      violationLog = fs.openSync(violationLogPath, 'a');
+    }
+    fs.writeSync(violationLog, JSON.stringify(violation) + '\n');
+  }
+  if (mode !== 'enforce') {
+    return false;
+  }
+  if (action === 'throw') {
+    throw capabilityDeniedError(packageKey, capability);
+  }
+  if (action === 'terminate') {
+    fs.writeSync(2, `Terminating, as package ${packageKey} is not allowed to use ${capability}.\n`);
+    exitProcess(1);
+  }
+  return true;
+}
+
+function createMockFunction(functionName) {
+  try {
+    return new Function(`return function ${functionName}() {return ${functionName};};`)();
+  } catch (SyntaxError) {
+    return new Function(`return function mocky() {return mocky;};`)();
+  }
+}
+
+/**
+ * Create a dummy for a value that a package may not use: a dummy function for functions and else an
+ * empty object
+ * @param   {String} name  The name of the value
+ * @param   {any}    value The value
+ * @returns {any}          The dummy
+ */
+function createDummy(name, value) {
+  return typeof value === 'function' ? createMockFunction(name) : {};
+}
+
+/**
+ * Restrict a property that a package is not allowed to use: the property is replaced with a getter
+ * that reports the violation on each access, and returns a dummy in `enforce` mode or the original
+ * value in `audit` and `record` mode. Assigning the property replaces the getter.
+ * @param {Object}  object     The object in which the property is restricted
+ * @param {String}  prop       The name of the property
+ * @param {String?} packageKey Policy key (`name@version`) of the package
+ * @param {String}  kind       The kind of capability, see `reportViolation`
+ * @param {String}  capability The capability, e.g. `process.env`
+ * @param {any}     dummy      The dummy, by default one created by `createDummy`
+ */
+function restrictProperty(object, prop, packageKey, kind, capability, dummy) {
+  const descriptor = getOwnPropertyDescriptor(object, prop);
+  if (descriptor !== undefined && !('value' in descriptor)) {
+    // Already restricted, e.g. a member that compiles code
+    return;
+  }
+  const original = object[prop];
+  if (dummy === undefined) {
+    dummy = createDummy(prop, original);
+  }
+  const restricted = function () {
+    return reportViolation(packageKey, kind, capability, restricted) ? dummy : original;
+  };
+  try {
+    defineProperty(object, prop, {
+      get: restricted,
+      set: (value) => {
+        defineProperty(object, prop, { value: value, writable: true, enumerable: true, configurable: true });
+      },
+      enumerable: true,
+      configurable: true
+    });
+  } catch {
+    // Don't restrict "internal"/read only properties like ".length"
+  }
+}
+
+// Own members that every function has, which are needed to e.g. subclass a class or to name it, but
+// are no capabilities of their own
+const FUNCTION_INTRINSIC_MEMBERS = new Set(['prototype', 'name', 'length']);
+
+/**
+ * Indicates whether a member of a module or global object can be restricted. Only own members with
+ * a string key are capabilities. Constants, i.e. members that can neither be written nor
+ * reconfigured, are left out, as a proxy has to return their actual value.
+ * @param   {Object|Function} target The module or global object
+ * @param   {String|Symbol}   prop   The key of the member
+ * @returns {Object?}                The property descriptor of the member, or null if it can't be restricted
+ */
+function restrictableDescriptor(target, prop) {
+  if (typeof prop !== 'string' || (typeof target === 'function' && FUNCTION_INTRINSIC_MEMBERS.has(prop))) {
+    return null;
+  }
+  const descriptor = getOwnPropertyDescriptor(target, prop);
+  if (descriptor === undefined || ('value' in descriptor && !descriptor.writable && !descriptor.configurable)) {
+    return null;
+  }
+  return descriptor;
+}
+
+/**
+ * Create a dummy standing in for a module or global object that a package may not use at all. It has
+ * the prototype of the object, so that e.g. `instanceof` keeps working, and the members of the
+ * object, where functions and objects are replaced with dummies. Changes to the dummy don't reach the
+ * object.
+ * @param   {any}    object The module or global object
+ * @param   {String} name   The name of the module or global object
+ * @returns {any}           The dummy
+ */
+function createDummyObject(object, name) {
+  if (object === undefined || object === null) {
+    return object;
+  }
+  if (typeof object !== 'object' && typeof object !== 'function') {
+    return {};
+  }
+  const dummy = createDummy(name, object);
+  Object.setPrototypeOf(dummy, Object.getPrototypeOf(object));
+  if (typeof object === 'function') {
+    dummy.prototype = object.prototype;
+  }
+  for (const prop of Object.getOwnPropertyNames(object)) {
+    if (typeof object === 'function' && FUNCTION_INTRINSIC_MEMBERS.has(prop)) {
+      continue;
+    }
+    const descriptor = getOwnPropertyDescriptor(object, prop);
+    let value = descriptor.value;
+    if (!('value' in descriptor) || (typeof value === 'object' && value !== null) || typeof value === 'function') {
+      // Getters are not called, as they may already use the capability
+      value = createDummy(prop, value);
+    }
+    try {
+      defineProperty(dummy, prop, { value: value, writable: true, enumerable: descriptor.enumerable, configurable: true });
+    } catch {
+      // Don't replace "internal"/read only properties of the dummy function
+    }
+  }
+  return dummy;
+}
+
+// The targets of the restricted views, by view, see `restrictedView`
+const viewTargets = new WeakMap();
+// The restricted views of modules and global objects, by package, object name, kind of members and
+// whether calls are blocked, and by target
+const restrictedViews = new Map();
+
+/**
+ * Create the view of a module or global object through which a package uses it, which enforces the
+ * policy on every access. Using a member that the package may not use, i.e. reading, assigning,
+ * redefining or deleting it, is reported with the exact member (see `reportViolation`), and in
+ * `enforce` mode reads return a dummy and changes are dropped. Everything else is forwarded to the
+ * object itself, so that the view has the prototype, getters and current members of the object,
+ * `instanceof` and subclassing work, and the members are identical to those of the object, except
+ * for members of which the package may only use some parts (see `restrictedPartsOf`), which are
+ * views themselves. If nothing is restricted, the object itself is returned.
+ * @param   {Object|Function} target     The module or global object, or a member of either
+ * @param   {String?}         packageKey Policy key (`name@version`) of the package
+ * @param   {String}          name       The name of the module or global object, or the path of the member, e.g. `fs.promises`
+ * @param   {String}          kind       The kind of its members, i.e. `moduleMembers` or `globalMembers`
+ * @param   {boolean}         blockCalls true if calling or constructing the object returns a dummy, as the package may not import it
+ * @returns {Object|Function}            The view, which is the same for all modules of the package
+ */
+function restrictedView(target, packageKey, name, kind, blockCalls = false) {
+  const cacheKey = JSON.stringify([packageKey, name, kind, blockCalls]);
+  if (!restrictedViews.has(cacheKey)) {
+    restrictedViews.set(cacheKey, new WeakMap());
+  }
+  const views = restrictedViews.get(cacheKey);
+  if (views.has(target)) {
+    return views.get(target);
+  }
+  const isRestricted = (prop) => memberRestriction(packageKey, name, kind, prop) !== null || restrictedPartsOf(packageKey, kind, `${name}.${prop}`);
+  if (!blockCalls && !Reflect.ownKeys(target).some((prop) => restrictableDescriptor(target, prop) !== null && isRestricted(prop))) {
+    return target;
+  }
+  const view = new Proxy(target, restrictedViewHandler(target, packageKey, name, kind, blockCalls));
+  viewTargets.set(view, target);
+  views.set(target, view);
+  return view;
+}
+
+/**
+ * Get how the use of a member of a module or global object is reported, if a package may not use
+ * it. Members that compile code are restricted as dynamic code, the other members only with member
+ * access tracing.
+ * @param   {String?} packageKey Policy key (`name@version`) of the package
+ * @param   {String}  name       The name of the module or global object, or the path of a member of either
+ * @param   {String}  kind       The kind of its members, i.e. `moduleMembers` or `globalMembers`
+ * @param   {String}  member     The name of the member
+ * @returns {Object?}            The `kind` and `capability` reported on its use, or null if the package may use it
+ */
+function memberRestriction(packageKey, name, kind, member) {
+  const capability = `${name}.${member}`;
+  const dynamicCodeMembers = kind === 'moduleMembers' ? DYNAMIC_CODE_MODULE_MEMBERS : DYNAMIC_CODE_GLOBAL_MEMBERS;
+  if (dynamicCodeMembers.has(capability)) {
+    return allowedToRunDynamicCode(packageKey, capability) ? null : { kind: 'dynamicCode', capability: capability };
+  }
+  if (memberAccessTracing !== true) {
+    return null;
+  }
+  const allowed = kind === 'moduleMembers' ?
+    allowedToUseModuleMember(packageKey, capability) : allowedToUseGlobalMember(packageKey, capability);
+  return allowed ? null : { kind: kind, capability: capability };
+}
+
+/**
+ * Get the receiver with which a restricted view accesses a member of its target. Getters and setters
+ * that are used through the view run on the target itself, as built-in objects may keep their state
+ * in internal slots that the view doesn't have.
+ * @param   {Object|Function} target   The target of the view
+ * @param   {any}             receiver The receiver of the access, e.g. the view or an object inheriting from it
+ * @returns {any}                      The receiver to use
+ */
+function viewReceiver(target, receiver) {
+  return viewTargets.get(receiver) === target ? target : receiver;
+}
+
+/**
+ * Create the proxy handler of a restricted view, see `restrictedView`
+ * @param   {Object|Function} target     The module or global object, or a member of either
+ * @param   {String?}         packageKey Policy key (`name@version`) of the package
+ * @param   {String}          name       The name of the module or global object, or the path of the member
+ * @param   {String}          kind       The kind of its members, i.e. `moduleMembers` or `globalMembers`
+ * @param   {boolean}         blockCalls true if calling or constructing the object returns a dummy
+ * @returns {Object}                     The proxy handler
+ */
+function restrictedViewHandler(target, packageKey, name, kind, blockCalls) {
+  // The dummies of the members, so that a restricted member is the same dummy on every access
+  const dummies = new Map();
+  const dummyFor = (prop, descriptor) => {
+    if (!dummies.has(prop)) {
+      dummies.set(prop, createDummy(prop, descriptor.value));
+    }
+    return dummies.get(prop);
+  };
+  // Report the use of a member if the package may not use it, see `reportViolation`
+  const isBlocked = (prop, boundary) => {
+    const restriction = memberRestriction(packageKey, name, kind, prop);
+    if (restriction === null) {
+      return false;
+    }
+    log(`Blocked access to ${restriction.capability} for ${packageKey}.`);
+    return reportViolation(packageKey, restriction.kind, restriction.capability, boundary);
+  };
+  // The view of a member value of which the package may only use some parts, e.g. of `fs.promises`
+  const partsView = (prop, value) => {
+    const isObject = (typeof value === 'object' && value !== null) || typeof value === 'function';
+    return isObject && restrictedPartsOf(packageKey, kind, `${name}.${prop}`) ?
+      restrictedView(value, packageKey, `${name}.${prop}`, kind) : value;
+  };
+  const handler = {
+    get(target, prop, receiver) {
+      const descriptor = restrictableDescriptor(target, prop);
+      if (descriptor === null) {
+        return Reflect.get(target, prop, viewReceiver(target, receiver));
+      }
+      if (isBlocked(prop, handler.get)) {
+        return dummyFor(prop, descriptor);
+      }
+      return partsView(prop, Reflect.get(target, prop, viewReceiver(target, receiver)));
+    },
+    set(target, prop, value, receiver) {
+      if (restrictableDescriptor(target, prop) !== null && isBlocked(prop, handler.set)) {
+        return true;
+      }
+      return Reflect.set(target, prop, value, viewReceiver(target, receiver));
+    },
+    defineProperty(target, prop, descriptor) {
+      if (restrictableDescriptor(target, prop) !== null && isBlocked(prop, handler.defineProperty)) {
+        // A property that is defined as non-configurable has to exist as such on the target
+        return descriptor.configurable !== false;
+      }
+      return Reflect.defineProperty(target, prop, descriptor);
+    },
+    deleteProperty(target, prop) {
+      const descriptor = restrictableDescriptor(target, prop);
+      if (descriptor !== null && isBlocked(prop, handler.deleteProperty)) {
+        return descriptor.configurable;
+      }
+      return Reflect.deleteProperty(target, prop);
+    },
+    getOwnPropertyDescriptor(target, prop) {
+      const descriptor = restrictableDescriptor(target, prop);
+      // A proxy has to return the descriptors of members that can't be reconfigured unchanged
+      if (descriptor === null || !descriptor.configurable) {
+        return Reflect.getOwnPropertyDescriptor(target, prop);
+      }
+      if (memberRestriction(packageKey, name, kind, prop) === null) {
+        return 'value' in descriptor ? Object.assign(descriptor, { value: partsView(prop, descriptor.value) }) : descriptor;
+      }
+      // The member is shown as a getter that reports its use, so that listing the members, e.g. with
+      // `util.inspect`, doesn't use them
+      const get = function () {
+        return isBlocked(prop, get) ? dummyFor(prop, descriptor) : partsView(prop, Reflect.get(target, prop));
+      };
+      const set = function (value) {
+        if (!isBlocked(prop, set)) {
+          Reflect.set(target, prop, value);
+        }
+      };
+      return { get: get, set: set, enumerable: descriptor.enumerable, configurable: true };
+    }
+  };
+  if (blockCalls) {
+    const mock = createMockFunction(name);
+    handler.apply = (target, thisArg, args) => apply(mock, thisArg, args);
+    handler.construct = () => new mock();
+  }
+  return handler;
+}
+
+/**
+ * Wrap a timer function such that it refuses to run a string callback as code, unless it is only
+ * reported in `audit` or `record` mode
+ * @param   {Function} timer              The timer function, e.g. `setTimeout`
+ * @param   {String}   timerName          The name of the timer function
+ * @param   {String}   importerPackageKey Policy key (`name@version`) of the package using the timer
+ * @returns {Function}                    The wrapped timer function
+ */
+function rejectStringCallbacks(timer, timerName, importerPackageKey) {
+  const wrapped = function (callback, ...args) {
+    if (typeof callback === 'string' && reportViolation(importerPackageKey, 'dynamicCode', timerName, wrapped)) {
+      log(`Blocked dynamic code through ${timerName} for ${importerPackageKey}.`);
+      return undefined;
+    }
+    return timer.call(this, callback, ...args);
+  };
+  // Keeps e.g. the `util.promisify.custom` implementation of the timer
+  for (const symbol of Object.getOwnPropertySymbols(timer)) {
+    wrapped[symbol] = timer[symbol];
+  }
+  return wrapped;
+}
+
+// The restricted global objects of every module, by path, for the code that the module compiles at runtime
+const localGlobalsByPath = new Map();
+
+// Evaluates code in its own scope, which contains the `localGlobals` parameter. Being a direct call of
+// `eval`, the code sees the parameter, unlike code passed to the global `eval` function.
+const evaluateWithLocalGlobals = new Function('localGlobals', 'return eval(arguments[1]);');
+
+/**
+ * Evaluate code with the restricted global objects of a module: global object accesses and `this`
+ * are redirected like in the code of the module itself, see `replaceGlobals`
+ * @param   {String} code         The code
+ * @param   {Object} localGlobals The restricted global objects
+ * @returns {any}                 The completion value of the code
+ */
+function evaluateIsolated(code, localGlobals) {
+  // `this` outside of functions is the `localGlobals` object as well
+  return apply(evaluateWithLocalGlobals, localGlobals, [localGlobals, replaceGlobals(code)]);
+}
+
+/**
+ * Create the `eval` function of a module that may execute dynamic code through `eval`. Instead of
+ * the global scope, the code runs with the restricted global objects of the module.
+ * @param   {Object}   localGlobals The restricted global objects of the module
+ * @returns {Function}              The `eval` replacement
+ */
+function isolatedEval(localGlobals) {
+  return function (code) {
+    return typeof code === 'string' ? evaluateIsolated(code, localGlobals) : code;
+  };
+}
+
+// The constructors of the kinds of functions, which compile their string arguments as the parameters
+// and body of a function in the global scope, with the keyword the kind of function is declared with
+const FUNCTION_CONSTRUCTORS = new Map([
+  [Function, 'function'],
+  [Object.getPrototypeOf(async function () {}).constructor, 'async function'],
+  [Object.getPrototypeOf(function* () {}).constructor, 'function*'],
+  [Object.getPrototypeOf(async function* () {}).constructor, 'async function*']
+]);
+
+/**
+ * Create a replacement for a function constructor. The caller is identified from the call stack, as
+ * the constructors are shared by all packages (e.g. `(() => {}).constructor`), and may only compile
+ * code if it may execute dynamic code through `Function`. The compiled function runs with the
+ * restricted global objects of the calling module.
+ * @param   {Function} constructor The function constructor, e.g. `Function`
+ * @param   {String}   keyword     The keyword functions of the kind are declared with, e.g. `async function`
+ * @returns {Function}             The replacement
+ */
+function isolatedFunctionConstructor(constructor, keyword) {
+  const isolated = function (...args) {
+    const importerPath = callerPath(isolated);
+    const importerPackageKey = importerPath === null ? null : packageKeyFromPath(importerPath);
+    // Code whose caller can't be identified is blocked even in `audit` mode, as it has no globals to run with
+    if (!allowedToRunDynamicCode(importerPackageKey, 'Function') &&
+        (reportViolation(importerPackageKey, 'dynamicCode', 'Function', isolated) || importerPath === null)) {
+      log(`Blocked dynamic code through Function for ${importerPackageKey}.`);
+      return createMockFunction('Function');
+    }
+    const localGlobals = localGlobalsByPath.get(importerPath) || makeLocalGlobals({ filename: importerPath });
+    const parameters = args.slice(0, -1).join(',');
+    const body = args.length === 0 ? '' : args[args.length - 1];
+    return evaluateIsolated(`(${keyword} anonymous(${parameters}\n) {\n${body}\n})`, localGlobals);
+  };
+  // Keeps `instanceof` and checks like `fn.constructor.name === 'AsyncFunction'` working
+  isolated.prototype = constructor.prototype;
+  defineProperty(isolated, 'name', { value: constructor.name });
+  return isolated;
+}
+
+// The replacements of the function constructors, by constructor
+const ISOLATED_FUNCTION_CONSTRUCTORS = new Map(
+  Array.from(FUNCTION_CONSTRUCTORS, ([constructor, keyword]) => [constructor, isolatedFunctionConstructor(constructor, keyword)])
+);
+
+const { toString: functionToString } = Function.prototype;
+
+/**
+ * Replacement for `Function.prototype.toString`, which shows the source of the function behind a
+ * restricted view instead of that of a proxy, as code like `Function.prototype.toString.call(Object)`
+ * is used to recognize built-in functions
+ * @returns {String} The source code of the function
+ */
+function toString() {
+  return apply(functionToString, viewTargets.has(this) ? viewTargets.get(this) : this, []);
+}
+// The replacement shows the source of the original
+viewTargets.set(toString, functionToString);
+
+/**
+ * Close the ways of reaching the real global object that bypass the restricted global objects of a
+ * module: the function constructors, which are reachable from any function through its `constructor`,
+ * are replaced with their isolated versions, and call sites no longer reveal the `this` value and the
+ * function of a stack frame. Also makes the restricted views of functions look like the functions
+ * themselves to `Function.prototype.toString`.
+ */
+function isolateGlobalObject() {
+  if (mode === 'off') {
+    return;
+  }
+  for (const [constructor, isolated] of ISOLATED_FUNCTION_CONSTRUCTORS) {
+    defineProperty(constructor.prototype, 'constructor', { value: isolated, writable: false, enumerable: false, configurable: false });
+  }
+  defineProperty(Function.prototype, 'toString', { value: toString });
+  isolateStackTraceAPI();
+}
+
+/**
+ * Restrict the functions of the restricted global objects that execute dynamic code (see
+ * `restrictProperty`), for each form of dynamic code execution the package is not allowed to use. As
+ * `global` and `globalThis` refer to the restricted globals, this also covers indirect accesses like
+ * `globalThis['ev' + 'al']`. Members of global objects that compile code, e.g. `WebAssembly.compile`,
+ * are restricted by the views of the global objects, see `memberRestriction`.
+ * @param {String} importerPackageKey Policy key (`name@version`) of the package
+ * @param {Object} localGlobals       The restricted global objects of the package, which are modified
+ */
+function restrictDynamicCode(importerPackageKey, localGlobals) {
+  for (const form of DYNAMIC_CODE_GLOBALS) {
+    if (form === 'eval' && localGlobals.eval === eval) {
+      localGlobals.eval = isolatedEval(localGlobals);
+    } else if (form === 'Function' && localGlobals.Function === Function) {
+      localGlobals.Function = ISOLATED_FUNCTION_CONSTRUCTORS.get(Function);
+    }
+    if (!allowedToRunDynamicCode(importerPackageKey, form)) {
+      log(`Blocked dynamic code through ${form} for ${importerPackageKey}.`);
+      const mock = createMockFunction(form);
+      if (form === 'Function') {
+        // Keeps `instanceof Function` working
+        mock.prototype = Function.prototype;
+      }
+      restrictProperty(localGlobals, form, importerPackageKey, 'dynamicCode', form, mock);
+    }
+  }
+  for (const form of STRING_CALLBACK_GLOBALS) {
+    if (!allowedToRunDynamicCode(importerPackageKey, form) && typeof localGlobals[form] === 'function') {
+      localGlobals[form] = rejectStringCallbacks(localGlobals[form], form, importerPackageKey);
+    }
+  }
+}
+
+/**
+ * Restrict a given module, according to the policy of the package the importing module belongs to.
+ * Importing a module that is not allowed is a violation by itself, the members the package may not
+ * use are restricted by the view of the module, see `restrictedView`.
+ * @param   {String?} importerPath Path to the importing module. If null, the importer is unknown and gets no capabilities
+ * @param   {String}  importee     Name of the module that is imported
+ * @param   {Object}  module       The imported module
+ * @returns {Object}               The restricted view of the requested module
+ */
+function pruneModule(importerPath, importee, module) {
+  if (mode === 'off') {
+    return module;
+  }
+  const importerPackageKey = importerPath === null ? null : packageKeyFromPath(importerPath);
+  const importBlocked = !allowedToImport(importerPackageKey, importee) &&
+    reportViolation(importerPackageKey, 'modules', importee, pruneModule, importerPath);
+  if (memberAccessTracing !== true && importBlocked) {
+    // Check once for the import, and if not allowed, replace all members
+    log(`Blocked access to ${importee} for ${importerPackageKey}.`);
+    return createDummyObject(module, importee);
+  }
+  // With member access tracing, the members the package may use work even if the import is blocked
+  return restrictedView(module, importerPackageKey, importee, 'moduleMembers', importBlocked);
+}
+
+/**
+ * Create the stand-in for a member of a module that a package may not use, which reports its use when
+ * the package uses it, i.e. calls, constructs or accesses the members of it. In `enforce` mode, the
+ * use then goes to a dummy, else to the member itself.
+ * @param   {any}     value      The member
+ * @param   {String?} packageKey Policy key (`name@version`) of the package
+ * @param   {Object}  violation  The `kind` and `capability` reported on its use, see `memberRestriction`
+ * @returns {any}                The stand-in, or the dummy in `enforce` mode if the member is a primitive, which can't report its use
+ */
+function deferredMember(value, packageKey, violation) {
+  const dummy = createDummy(violation.capability, value);
+  if ((typeof value !== 'object' || value === null) && typeof value !== 'function') {
+    return mode === 'enforce' ? dummy : value;
+  }
+  const use = (boundary) => {
+    log(`Blocked access to ${violation.capability} for ${packageKey}.`);
+    return reportViolation(packageKey, violation.kind, violation.capability, boundary) ? dummy : value;
+  };
+  // The dummy is the target, so that the stand-in is callable exactly if the member is. The
+  // descriptors of the member are shown as configurable, as the proxy must not claim non-configurable
+  // properties that the dummy lacks.
+  const handler = {
+    get(target, prop) {
+      return Reflect.get(use(handler.get), prop);
+    },
+    set(target, prop, value) {
+      return Reflect.set(use(handler.set), prop, value);
+    },
+    has(target, prop) {
+      return Reflect.has(use(handler.has), prop);
+    },
+    deleteProperty(target, prop) {
+      return Reflect.deleteProperty(use(handler.deleteProperty), prop);
+    },
+    ownKeys(target) {
+      const fixedKeys = Reflect.ownKeys(target).filter((key) => !getOwnPropertyDescriptor(target, key).configurable);
+      return [...new Set([...Reflect.ownKeys(use(handler.ownKeys)), ...fixedKeys])];
+    },
+    getOwnPropertyDescriptor(target, prop) {
+      const fixed = getOwnPropertyDescriptor(target, prop);
+      if (fixed !== undefined && !fixed.configurable) {
+        return fixed;
+      }
+      const descriptor = getOwnPropertyDescriptor(use(handler.getOwnPropertyDescriptor), prop);
+      return descriptor === undefined ? undefined : Object.assign(descriptor, { configurable: true });
+    },
+    apply(target, thisArg, args) {
+      return apply(use(handler.apply), thisArg, args);
+    },
+    construct(target, args, newTarget) {
+      const used = use(handler.construct);
+      return Reflect.construct(used, args, newTarget === standIn ? used : newTarget);
+    }
+  };
+  const standIn = new Proxy(dummy, handler);
+  return standIn;
+}
+
+/**
+ * Get the value that a named import of a member of a built-in module binds to. ES module bindings are
+ * created when the importing module is linked, before any of its code runs, and for every export of
+ * the module, not just the imported ones. So instead of reading the members through the restricted
+ * view, which reports the members the package may not use, these are bound to stand-ins that report
+ * their use only when the package uses them (see `deferredMember`).
+ * @param   {String?} importerPath Path to the importing module, see `pruneModule`
+ * @param   {String}  importee     Name of the module that is imported
+ * @param   {Object}  module       The imported module
+ * @param   {Object}  pruned       The restricted module returned by `pruneModule`
+ * @param   {String}  exportName   The name of the member
+ * @returns {any}                  The value to bind the export to
+ */
+function prunedModuleExport(importerPath, importee, module, pruned, exportName) {
+  if (viewTargets.get(pruned) !== module) {
+    // Nothing is restricted, or the whole module is a dummy
+    return pruned[exportName];
+  }
+  if (restrictableDescriptor(module, exportName) === null) {
+    return module[exportName];
+  }
+  const importerPackageKey = importerPath === null ? null : packageKeyFromPath(importerPath);
+  const violation = memberRestriction(importerPackageKey, importee, 'moduleMembers', exportName);
+  return violation === null ? pruned[exportName] : deferredMember(module[exportName], importerPackageKey, violation);
+}
+
+// Members of the CommonJS module system that load and compile the code of every module, by object. A
+// package replacing one of them could inject code into other packages, which would then run with
+// their identity.
+const LOCKED_MODULE_SYSTEM_MEMBERS = [
+  [(Module) => Module, ['_load', 'wrap', 'wrapper']],
+  [(Module) => Module.prototype, ['_compile', 'load', 'require']],
+  [(Module) => Module._extensions, ['.js', '.json', '.node']]
+];
+
+/**
+ * Make the members of the module system that load and compile modules read-only, after the runtime
+ * has hooked them. Loaders for other file extensions can still be added.
+ * @param {Function} Module The Module class of the CommonJS loader
+ */
+function lockModuleSystem(Module) {
+  if (mode === 'off') {
+    return;
+  }
+  for (const [getObject, names] of LOCKED_MODULE_SYSTEM_MEMBERS) {
+    const object = getObject(Module);
+    for (const name of names) {
+      const descriptor = getOwnPropertyDescriptor(object, name);
+      if (descriptor === undefined) {
+        continue;
+      }
+      if ('value' in descriptor) {
+        descriptor.writable = false;
+      } else {
+        // e.g. `Module.wrap`, whose setter changes the wrapper of all modules compiled afterwards
+        delete descriptor.set;
+      }
+      descriptor.configurable = false;
+      defineProperty(object, name, descriptor);
+    }
+  }
+}
+
+/**
+ * Given a package name and global object name, creates the view of that global object through which
+ * the package uses its members, see `restrictedView`. Whether the package may access the global
+ * object at all is checked by `makeLocalGlobals`.
+ * @param   {String} importerPackageKey  Policy key (`name@version`) of the package to restrict the global object for
+ * @param   {String} globalName          Name of the global object
+ * @param   {Object} globalCopy          Object containing all global objects
+ * @returns {any}                        Restricted view of the respective global object, or its value if it is a primitive
+ */
+function pruneGlobalObject(importerPackageKey, globalName, globalCopy) {
+  const originalGlobal = globalCopy[globalName];
+  if ((typeof originalGlobal !== 'object' || originalGlobal === null) && typeof originalGlobal !== 'function') {
+    return originalGlobal;
+  }
+  return restrictedView(originalGlobal, importerPackageKey, globalName, 'globalMembers');
+}
+
+/**
+ * Combines "regular" global objects with the module specific global objects
+ * @param   {Object}   exports  The modules' `exports` object
+ * @param   {Function} require  The modules' `require` function
+ * @param   {Object}   module   The modules' `module` object
+ * @param   {String}   filename The modules' `__filename` attribute
+ * @param   {String}   dirname  The modules' `__dirname` attribute
+ * @returns {Object}            Object containing the combined global objects
+ */
+function combineGlobals(exports, require, module, filename, dirname) {
+  const specialGlobals = {
+    exports: exports,
+    require: require,
+    module: module,
+    __filename: filename,
+    __dirname: dirname
+  }
+  const globalCopy = {};
+  for (const prop of Object.getOwnPropertyNames(global)) {
+    globalCopy[prop] = global[prop];
+  }
+  Object.assign(globalCopy, specialGlobals);
+  return globalCopy;
+}
+
+/**
+ * Creates an object containing a restricted version of the global objects for a given module
+ * @param   {Module}   mod      The module that the globals object is built for
+ * @param   {Object}   exports  The modules' `exports` object
+ * @param   {Function} require  The modules' `require` function
+ * @param   {Object}   module   The modules' `module` object
+ * @param   {String}   filename The modules' `__filename` attribute
+ * @param   {String}   dirname  The modules' `__dirname` attribute
+ * @returns {Object}            Object containing global objects, restricted for the given module `mod`
+ */
+function makeLocalGlobals(mod, exports, require, module, filename, dirname) {
+  const importerPath = mod.filename || mod.id; // This is taken from the makeRequireFunction implementation
+  const importerPackageKey = packageKeyFromPath(importerPath);
+  const combinedGlobals = combineGlobals(exports, require, module, filename, dirname);
+  const localGlobals = {}
+  const blockedGlobals = [];
+  for (let globalObjectName of Object.getOwnPropertyNames(combinedGlobals)) {
+    if (globalObjectName === 'global' || globalObjectName === 'globalThis') {
+      // They're just references to the global object itself.
+      continue;
+    }
+    if (mode === 'off') {
+      localGlobals[globalObjectName] = combinedGlobals[globalObjectName];
+      continue;
+    }
+    localGlobals[globalObjectName] = pruneGlobalObject(importerPackageKey, globalObjectName, combinedGlobals);
+    const value = combinedGlobals[globalObjectName];
+    if (globalObjectName !== 'module' && value !== undefined && value !== null &&
+        !allowedToAccessGlobal(importerPackageKey, globalObjectName)) {
+      blockedGlobals.push(globalObjectName);
+    }
+  }
+  // Always give a module access to its own `module` global, which is a reference to itself
+  // This is necessary to e.g. make exports work.
+  localGlobals['module'] = combinedGlobals['module'];
+  // Set up the two self-referential members
+  localGlobals['global'] = localGlobals;
+  localGlobals['globalThis'] = localGlobals;
+  // Used in place of `this` in sloppy mode functions, see `replaceGlobals`
+  defineProperty(localGlobals, '__guardianThis', {
+    value: (value) => value === globalThis ? localGlobals : value
+  });
+  if (mode !== 'off') {
+    restrictDynamicCode(importerPackageKey, localGlobals);
+    // Restricted last, so that in `audit` mode, the global objects that are handed out anyway have
+    // their members that compile code restricted as well
+    for (const globalName of blockedGlobals) {
+      log(`Blocked access to ${globalName} for ${importerPackageKey}.`);
+      restrictProperty(localGlobals, globalName, importerPackageKey, 'globals', globalName,
+        createDummyObject(combinedGlobals[globalName], globalName));
+    }
+  }
+  localGlobalsByPath.set(importerPath, localGlobals);
+  return localGlobals;
+}
+
+/**
+ * Creates an object containing a restricted version of the global objects for a given ES module. A
+ * `data:` module shares the global objects of the module importing it, see `importerScopedURL`.
+ * @param   {String} url The URL of the ES module
+ * @returns {Object}     Object containing global objects, restricted for the given module
+ */
+function makeLocalGlobalsForURL(url) {
+  const filename = importingPath(url);
+  if (url.startsWith('data:') && localGlobalsByPath.has(filename)) {
+    return localGlobalsByPath.get(filename);
+  }
+  // ES modules have no `exports`, `require`, `module`, `__filename` and `__dirname`
+  return makeLocalGlobals({ filename: filename });
+}
+
+/**
+ * Add the restricted global objects of an ES module to its `import.meta` object, which is where the
+ * prologue added by `replaceGlobalsInModule` picks them up
+ * @param {Object} meta The `import.meta` object of the module
+ * @param {String} url  The URL of the module
+ */
+function initializeImportMetaGlobals(meta, url) {
+  if (importingPath(url) === null) {
+    return;
+  }
+  Object.defineProperty(meta, 'localGlobals', {
+    value: makeLocalGlobalsForURL(url),
+    enumerable: false
+  });
+}
+
+// Separates the URL of a module from the path of its importer in the URLs made by `importerScopedURL`.
+// The importer of a `data:` module is added as the fragment, which is not part of its source.
+const BUILTIN_IMPORTER_MARKER = '?importer=';
+const DATA_IMPORTER_MARKER = '#importer=';
+
+/**
+ * Get the path of the file that the code of an ES module is attributed to: the file of a `file:`
+ * URL, or the importer of a `data:` URL made by `importerScopedURL`
+ * @param   {String}  url The URL of the module
+ * @returns {String?}     The path of the file, or null if the module belongs to no file
+ */
+function importingPath(url) {
+  if (url.startsWith('file:')) {
+    return fileURLToPath(url);
+  }
+  return url.startsWith('data:') ? parseImporterScopedURL(url).importerPath : null;
+}
+
+/**
+ * Make the URL of a built-in module or `data:` module specific to the file importing it. The ESM
+ * loader caches module jobs by their URL, so without this every importer would share the same
+ * unrestricted module. The code of a `data:` module is attributed to its importer, so that its imports
+ * and global objects are restricted like those of the importer, as it is code of the importer that is
+ * only compiled at runtime. A `data:` module whose importer can't be identified is refused.
+ * @param   {String}  url       The resolved URL of the imported module
+ * @param   {String?} parentURL The URL of the importing module, if any
+ * @returns {String}            The URL to load the module from
+ * @throws  {Error}             If the importer of a `data:` module can't be identified
+ */
+function importerScopedURL(url, parentURL) {
+  const isData = url.startsWith('data:');
+  if (mode === 'off' || (!url.startsWith('node:') && !isData)) {
+    return url;
+  }
+  const importerPath = parentURL === undefined ? null : importingPath(parentURL);
+  if (importerPath === null) {
+    if (isData) {
+      const error = new OriginalError(`Refusing to import a data: URL from ${parentURL}, as its importer can't be identified.`);
+      error.code = 'ERR_GUARDIAN_UNKNOWN_IMPORTER';
+      throw error;
+    }
+    return url;
+  }
+  return `${url}${isData ? DATA_IMPORTER_MARKER : BUILTIN_IMPORTER_MARKER}${encodeURIComponent(importerPath)}`;
+}
+
+/**
+ * Split a URL created by `importerScopedURL` into the module URL and the importer path. The marker
+ * added last is used, as a `data:` URL may contain the marker in its own source.
+ * @param   {String} url The importer specific URL
+ * @returns {Object}     Object containing the `moduleURL` and the `importerPath`, which is `null` if the URL is not importer specific
+ */
+function parseImporterScopedURL(url) {
+  const marker = url.startsWith('data:') ? DATA_IMPORTER_MARKER : BUILTIN_IMPORTER_MARKER;
+  const markerIndex = url.lastIndexOf(marker);
+  if (markerIndex === -1) {
+    return { moduleURL: url, importerPath: null };
+  }
+  return {
+    moduleURL: url.slice(0, markerIndex),
+    importerPath: decodeURIComponent(url.slice(markerIndex + marker.length))
+  };
+}
+
+module.exports = {
+  callerPath: callerPath,
+  isolateGlobalObject: isolateGlobalObject,
+  lockModuleSystem: lockModuleSystem,
+  pruneModule: pruneModule,
+  prunedModuleExport: prunedModuleExport,
+  makeLocalGlobals: makeLocalGlobals,
+  makeLocalGlobalsForURL: makeLocalGlobalsForURL,
+  initializeImportMetaGlobals: initializeImportMetaGlobals,
+  importingPath: importingPath,
+  importerScopedURL: importerScopedURL,
+  parseImporterScopedURL: parseImporterScopedURL,
+  log: log,
+  mode: mode
+}
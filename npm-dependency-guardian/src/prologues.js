@@ -0,0 +1,21 @@
+"use strict";
+
+// The code that the runtime inserts before the code of every module to define its `localGlobals`, see
+// `replaceGlobals`. `ingest` needs it as well, to map the recorded positions back to the source code.
+
+const { pathToFileURL } = require('url');
+
+// CommonJS modules fetch the restricted globals through a function that is only attached to the module
+// object while its code is compiled and executed, see `enforce.js`
+const COMMONJS_PROLOGUE = "const localGlobals = module[Symbol.for('npm-dependency-guardian.localGlobals')](exports, require, __filename, __dirname); ";
+
+// The loader hooks of `esmHooks.mjs` run separately from the application, thus the generated code has
+// to load the policy utilities itself. They are CommonJS, so they share the state of `enforce.js`.
+const POLICY_UTILS_URL = pathToFileURL(require.resolve('./policyUtils.js')).href;
+const ES_MODULE_PROLOGUE = `import { makeLocalGlobalsForURL as __guardianLocalGlobals } from ${JSON.stringify(POLICY_UTILS_URL)}; const localGlobals = __guardianLocalGlobals(import.meta.url); `;
+
+module.exports = {
+  COMMONJS_PROLOGUE: COMMONJS_PROLOGUE,
+  ES_MODULE_PROLOGUE: ES_MODULE_PROLOGUE,
+  POLICY_UTILS_URL: POLICY_UTILS_URL
+};
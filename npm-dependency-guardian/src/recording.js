@@ -0,0 +1,200 @@
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+
+const { addEvidence } = require('./evidence.js');
+const { environmentVariableOf } = require('./environment.js');
+const { COMMONJS_PROLOGUE, ES_MODULE_PROLOGUE } = require('./prologues.js');
+const { originalPositionMapper } = require('./replaceGlobals.js');
+
+// Maps the kinds of capabilities in a recording to the policy granularity and the section of a policy entry
+const RECORDED_SECTIONS = {
+  modules: { granularity: 'policyCoarse', capabilityType: 'modules' },
+  globals: { granularity: 'policyCoarse', capabilityType: 'globals' },
+  dynamicCode: { granularity: 'policyCoarse', capabilityType: 'dynamicCode' },
+  moduleMembers: { granularity: 'policyFine', capabilityType: 'modules' },
+  globalMembers: { granularity: 'policyFine', capabilityType: 'globals' }
+};
+
+// Modes whose log entries are uses that the application actually made. In `enforce` mode, the logged
+// uses were blocked.
+const INGESTED_MODES = ['record', 'audit'];
+
+/**
+ * Read the entries of recordings or violation logs written by the runtime, see `reportViolation`
+ * @param   {String[]} recordingPaths Paths to the JSON lines files
+ * @returns {Object[]}                The entries
+ * @throws  {Error}                   If a line is not valid JSON
+ */
+function readRecordings(recordingPaths) {
+  const entries = [];
+  for (const recordingPath of recordingPaths) {
+    const lines = fs.readFileSync(recordingPath, 'utf8').split('\n');
+    lines.forEach((line, index) => {
+      if (line.trim() === '') {
+        return;
+      }
+      try {
+        entries.push(JSON.parse(line));
+      } catch (e) {
+        throw Error(`Invalid entry in ${recordingPath}:${index + 1}: ${e.message}`);
+      }
+    });
+  }
+  return entries;
+}
+
+/**
+ * Get the position in the calling file at which a capability was used, from the stack of an entry
+ * @param   {Object}  entry The entry
+ * @returns {Object?}       Object containing the `line` and `column`, or null if the stack has no frame in the calling file
+ */
+function callerPosition(entry) {
+  if (entry.caller === null) {
+    return null;
+  }
+  for (const frame of entry.stack || []) {
+    const index = frame.lastIndexOf(`${entry.caller}:`);
+    const match = index === -1 ? null : frame.slice(index + entry.caller.length + 1).match(/^(\d+):(\d+)/);
+    if (match !== null) {
+      return { line: Number(match[1]), column: Number(match[2]) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the closest directory containing a `package.json`, i.e. the root of the package of a file
+ * @param   {String}  filePath The absolute path of the file
+ * @returns {String?}          The path of the directory, or null if there is none
+ */
+function packageDirectory(filePath) {
+  for (let directory = path.dirname(filePath); directory !== path.dirname(directory); directory = path.dirname(directory)) {
+    if (fs.existsSync(path.join(directory, 'package.json'))) {
+      return directory;
+    }
+  }
+  return null;
+}
+
+/**
+ * Indicates whether NodeJS loads a file as an ES module, by its extension or the `type` of its package
+ * @param   {String}  filePath The absolute path of the file
+ * @returns {boolean}          true if the file is an ES module, else false
+ */
+function isESModule(filePath) {
+  if (filePath.endsWith('.mjs') || filePath.endsWith('.cjs')) {
+    return filePath.endsWith('.mjs');
+  }
+  const directory = packageDirectory(filePath);
+  return directory !== null && JSON.parse(fs.readFileSync(path.join(directory, 'package.json'), 'utf8')).type === 'module';
+}
+
+/**
+ * Get the path of a recorded file relative to the project root, like the paths in the evidence of a
+ * scan. The project root is the directory containing the outermost `node_modules` directory of the
+ * path, or the package directory for files of the root package.
+ * @param   {String} filePath The absolute path of the file
+ * @returns {String}          The relative path, or the absolute path if the project root can't be found
+ */
+function projectRelativePath(filePath) {
+  const index = filePath.indexOf(`${path.sep}node_modules${path.sep}`);
+  const rootPath = index === -1 ? packageDirectory(filePath) : filePath.slice(0, index);
+  return rootPath === null ? filePath : path.relative(rootPath, filePath);
+}
+
+/**
+ * Read a file that called into a capability at runtime
+ * @param   {String}  filePath The absolute path of the file
+ * @returns {Object?}          Object containing the `source` code, the project relative `path` and a function mapping the positions of the code that ran to positions in the source code (see `originalPositionMapper`), or null if the file can't be read
+ */
+function readRecordedFile(filePath) {
+  try {
+    const source = fs.readFileSync(filePath, 'utf8');
+    const prologue = isESModule(filePath) ? ES_MODULE_PROLOGUE : COMMONJS_PROLOGUE;
+    return {
+      source: source,
+      path: projectRelativePath(filePath),
+      originalPosition: originalPositionMapper(source, prologue, prologue === ES_MODULE_PROLOGUE ? 'module' : 'script')
+    };
+  } catch (e) {
+    // The file may have been removed or changed since it was recorded
+    return null;
+  }
+}
+
+/**
+ * Record the source location of a recorded use as evidence. The recorded position is one in the code
+ * that the runtime ran, with its accesses to the global objects rewritten, so it is mapped back to the
+ * source code.
+ * @param {Object} evidence The evidence of the package
+ * @param {Object} entry    The entry
+ * @param {Map}    files    Cache of the calling files, see `readRecordedFile`
+ */
+function addRecordedEvidence(evidence, entry, files) {
+  const position = callerPosition(entry);
+  if (position === null) {
+    return;
+  }
+  if (!files.has(entry.caller)) {
+    files.set(entry.caller, readRecordedFile(entry.caller));
+  }
+  const file = files.get(entry.caller);
+  if (file === null) {
+    return;
+  }
+  const offset = Math.min(file.originalPosition(position.line, position.column), file.source.length);
+  addEvidence(evidence[entry.kind], entry.capability, file.path, file.source, offset);
+}
+
+/**
+ * Create a policy from the capabilities that were used at runtime. Entries that were blocked (i.e.
+ * logged in `enforce` mode) or whose package is unknown are left out. The members of `process.env`
+ * recorded with member access tracing are also listed as the environment variables of the package.
+ * @param   {Object[]} entries The entries of the recordings
+ * @returns {Object}           The recorded `policy`, including the `evidence` of the recorded uses, and the number of `skipped` entries
+ */
+function recordedPolicy(entries) {
+  const policy = { memberAccessTracing: false, policyCoarse: {}, policyFine: {}, evidence: {} };
+  const files = new Map();
+  let skipped = 0;
+  for (const entry of entries) {
+    const section = RECORDED_SECTIONS[entry.kind];
+    if (!INGESTED_MODES.includes(entry.mode) || entry.package === null || section === undefined) {
+      skipped += 1;
+      continue;
+    }
+    if (!(entry.package in policy.policyCoarse)) {
+      policy.policyCoarse[entry.package] = { modules: [], globals: [], dynamicCode: [], environment: [] };
+      policy.policyFine[entry.package] = { modules: [], globals: [] };
+      policy.evidence[entry.package] = { modules: {}, globals: {}, dynamicCode: {}, environment: {}, moduleMembers: {}, globalMembers: {} };
+    }
+    const capabilities = policy[section.granularity][entry.package][section.capabilityType];
+    if (!capabilities.includes(entry.capability)) {
+      capabilities.push(entry.capability);
+    }
+    const variable = entry.kind === 'globalMembers' ? environmentVariableOf(entry.capability) : null;
+    const environment = policy.policyCoarse[entry.package].environment;
+    if (variable !== null && !environment.includes(variable)) {
+      environment.push(variable);
+    }
+    if (section.granularity === 'policyFine') {
+      policy.memberAccessTracing = true;
+    }
+    addRecordedEvidence(policy.evidence[entry.package], entry, files);
+  }
+  for (const granularity of ['policyCoarse', 'policyFine']) {
+    for (const entry of Object.values(policy[granularity])) {
+      for (const capabilities of Object.values(entry)) {
+        capabilities.sort();
+      }
+    }
+  }
+  return { policy: policy, skipped: skipped };
+}
+
+module.exports = {
+  readRecordings: readRecordings,
+  recordedPolicy: recordedPolicy
+};
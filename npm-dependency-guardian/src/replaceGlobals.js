@@ -0,0 +1,198 @@
+"use strict";
+
+const acorn = require('acorn');
+const acorn_walk = require('acorn-walk');
+const { NodeTypes } = require('./astUtils.js');
+const { extractGlobals } = require('./extractGlobals.js');
+require('./acornWalkPatch.js');
+
+// Replacement of `this` in functions that may be called without a receiver, in which case sloppy
+// mode code gets the global object. The member is added to `localGlobals` by `makeLocalGlobals`.
+const THIS_REPLACEMENT = 'localGlobals.__guardianThis(this)';
+
+/**
+ * Create an AST from JavaScript source code. Code that can't be parsed is never run, as it would
+ * reach the real global objects if it was left unchanged, e.g. code using syntax that V8 supports but
+ * acorn doesn't yet.
+ * @param   {String}  source     The source code
+ * @param   {String}  sourceType `script` for CommonJS modules and code compiled at runtime, `module` for ES modules
+ * @param   {String?} filename   The path of the file containing the source code, if any
+ * @returns {Object}             The resulting AST
+ * @throws  {SyntaxError}        If the source code can't be parsed, with the code `ERR_GUARDIAN_UNPARSABLE_SOURCE`
+ */
+function parseAst(source, sourceType, filename) {
+  // CommonJS modules may return from the top level, as their code is wrapped in a function
+  const opts = { ecmaVersion: 'latest', sourceType: sourceType, locations: true, allowReturnOutsideFunction: sourceType === 'script' };
+  try {
+    return acorn.parse(source, opts);
+  } catch (e) {
+    const error = new SyntaxError(`Could not parse ${filename || 'the code'} to restrict its globals: ${e.message}`);
+    error.code = 'ERR_GUARDIAN_UNPARSABLE_SOURCE';
+    throw error;
+  }
+}
+
+
+/**
+ * Blank the shebang line of the given string, if one exists. The line itself is kept, so that the
+ * line numbers of stack traces and source maps still match the file.
+ * @param   {String} sourceCode The source code
+ * @returns {String}            The source code with an empty first line instead of a shebang line
+ */
+function removeShebang(sourceCode) {
+  return sourceCode.replace(/^#!.*/, '');
+}
+
+/**
+ * Indicates whether a list of statements starts with a `"use strict"` directive
+ * @param   {Object[]} statements The statements of a program or function body
+ * @returns {boolean}             true if the statements are strict mode code, else false
+ */
+function hasUseStrictDirective(statements) {
+  for (const statement of statements) {
+    if (statement.directive === undefined) {
+      return false;
+    }
+    if (statement.directive === 'use strict') {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Get the `this` expressions that may evaluate to the global object: those in sloppy mode functions
+ * (including arrow functions within them), outside of classes, which are always strict
+ * @param   {Object}   ast The AST of the program
+ * @returns {Object[]}     The `this` expression nodes
+ */
+function functionThisExpressions(ast) {
+  if (hasUseStrictDirective(ast.body)) {
+    return [];
+  }
+  const expressions = [];
+  acorn_walk.ancestor(ast, {
+    ThisExpression(node, ancestors) {
+      let inFunction = false;
+      for (const ancestor of ancestors) {
+        if (ancestor.type === NodeTypes.ClassBody) {
+          return;
+        }
+        if (ancestor.type === NodeTypes.FunctionDeclaration || ancestor.type === NodeTypes.FunctionExpression) {
+          if (hasUseStrictDirective(ancestor.body.body)) {
+            return;
+          }
+          inFunction = true;
+        }
+      }
+      if (inFunction) {
+        expressions.push(node);
+      }
+    }
+  });
+  return expressions;
+}
+
+/**
+ * Get the replacements that restrict the global object accesses of a program: accesses to global
+ * identifiers are replaced with accesses to identically named members of a `localGlobals` object,
+ * `this` expressions that may refer to the global object with a guard that substitutes the
+ * `localGlobals` object, and the prologue is inserted after the directives
+ * @param   {Object}   ast      The AST of the program
+ * @param   {String}   prologue Code that defines the `localGlobals` object
+ * @returns {Object[]}          The replacements, containing the `start` and `end` of the replaced code and the inserted `text`, in ascending order of their position
+ */
+function globalReplacements(ast, prologue) {
+  const { identifiers } = extractGlobals(ast);
+  const index = endOfDirectives(ast);
+  // The prologue is inserted on the same line, to keep the line numbers intact
+  const separator = index === 0 ? '' : ';';
+  const replacements = identifiers
+    .map((identifier) => ({ start: identifier.start, end: identifier.end, text: 'localGlobals.' + identifier.name }))
+    .concat(functionThisExpressions(ast).map((expression) => ({ start: expression.start, end: expression.end, text: THIS_REPLACEMENT })))
+    .concat([{ start: index, end: index, text: separator + prologue }]);
+  // The prologue comes before an identifier at the same position
+  return replacements.sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+/**
+ * Apply replacements to source code
+ * @param   {String}   code         The source code
+ * @param   {Object[]} replacements The replacements, see `globalReplacements`
+ * @returns {String}                The modified source code
+ */
+function modifyCode(code, replacements) {
+  // Replacements are applied from the end, so that the positions of the remaining ones stay valid
+  for (const replacement of replacements.slice().reverse()) {
+    code = code.slice(0, replacement.start) + replacement.text + code.slice(replacement.end);
+  }
+  return code;
+}
+
+/**
+ * Get the position right after the directive prologue (e.g. `"use strict";`) of a program. This is
+ * the first position at which code can be inserted without turning the directives into plain strings.
+ * @param   {Object} ast The AST of the program
+ * @returns {number}     The position after the last directive, or 0 if there are no directives
+ */
+function endOfDirectives(ast) {
+  let end = 0;
+  for (const statement of ast.body) {
+    if (statement.directive === undefined) {
+      break;
+    }
+    end = statement.end;
+  }
+  return end;
+}
+
+// TODO: ignore "exports" and "module.exports"
+/**
+ * Replace global object accesses in the source code with accesses to identically named members of a
+ * `localGlobals` object.
+ * @param   {String}  sourceCode The source code in which to perform the replacement
+ * @param   {String}  prologue   Code that defines the `localGlobals` object, inserted before the rest of the code
+ * @param   {String}  sourceType `script` for CommonJS modules and code compiled at runtime, `module` for ES modules
+ * @param   {String?} filename   The path of the file containing the source code, if any
+ * @returns {String}             The resulting changed source code
+ * @throws  {SyntaxError}        If the source code can't be parsed, see `parseAst`
+ */
+function replaceGlobals(sourceCode, prologue = '', sourceType = 'script', filename = null) {
+  sourceCode = removeShebang(sourceCode);
+  const ast = parseAst(sourceCode, sourceType, filename);
+  return modifyCode(sourceCode, globalReplacements(ast, prologue));
+}
+
+/**
+ * Create a function mapping positions in the code changed by `replaceGlobals` back to the source code,
+ * e.g. the positions of calls recorded at runtime. Positions within inserted code are mapped to the
+ * start of the code it replaces.
+ * @param   {String}   sourceCode The source code, as passed to `replaceGlobals`
+ * @param   {String}   prologue   The prologue passed to `replaceGlobals`
+ * @param   {String}   sourceType The source type passed to `replaceGlobals`
+ * @returns {Function}            Function taking the `line` and `column` (both starting at 1) of a position in the changed code, and returning the position in the source code
+ * @throws  {SyntaxError}         If the source code can't be parsed, see `parseAst`
+ */
+function originalPositionMapper(sourceCode, prologue = '', sourceType = 'script') {
+  sourceCode = removeShebang(sourceCode);
+  const replacements = globalReplacements(parseAst(sourceCode, sourceType, null), prologue);
+  const changedLines = modifyCode(sourceCode, replacements).split('\n');
+  return (line, column) => {
+    let offset = changedLines.slice(0, line - 1).reduce((lineStart, changedLine) => lineStart + changedLine.length + 1, 0) + column - 1;
+    for (const replacement of replacements) {
+      if (offset < replacement.start) {
+        break;
+      }
+      if (offset < replacement.start + replacement.text.length) {
+        return replacement.start;
+      }
+      offset -= replacement.text.length - (replacement.end - replacement.start);
+    }
+    return offset;
+  };
+}
+
+module.exports = {
+  originalPositionMapper: originalPositionMapper,
+  replaceGlobals: replaceGlobals
+}
@@ -0,0 +1,155 @@
+"use strict";
+
+const readline = require('readline');
+
+const { formatEvidence } = require('./evidence.js');
+const { log } = require('./colorLog');
+
+// Maps the kinds of capabilities to the policy granularity and the section of a policy entry
+const CAPABILITY_SECTIONS = {
+  module: { granularity: 'policyCoarse', capabilityType: 'modules' },
+  global: { granularity: 'policyCoarse', capabilityType: 'globals' },
+  dynamicCode: { granularity: 'policyCoarse', capabilityType: 'dynamicCode' },
+  environmentVariable: { granularity: 'policyCoarse', capabilityType: 'environment' },
+  moduleMember: { granularity: 'policyFine', capabilityType: 'modules' },
+  globalMember: { granularity: 'policyFine', capabilityType: 'globals' }
+};
+
+// The answers to the review prompt
+const DECISIONS = {
+  a: 'approved',
+  r: 'rejected',
+  d: 'deferred',
+  q: 'quit'
+};
+
+/**
+ * Ask a question on the console and wait for the answer
+ * @param   {AsyncIterator} lines    Iterator over the lines of the input
+ * @param   {String}        question The question
+ * @returns {Promise<String?>}       The trimmed answer, or null if the input has ended
+ */
+async function ask(lines, question) {
+  process.stdout.write(question);
+  const { value, done } = await lines.next();
+  return done ? null : value.trim();
+}
+
+/**
+ * Ask the reviewer for a decision on a new capability
+ * @param   {AsyncIterator}    lines   Iterator over the lines of the input
+ * @param   {Object}           finding The finding of the new capability
+ * @returns {Promise<Object>}          The `decision` (one of DECISIONS) and the `reason` given for it
+ */
+async function askForDecision(lines, finding) {
+  log(`[${finding.severity}/${finding.category}] ${finding.message}`, 'brightRed');
+  for (const location of finding.evidence || []) {
+    console.log(`    at ${formatEvidence(location)}`);
+  }
+  for (;;) {
+    const answer = await ask(lines, '[a]pprove, [r]eject, [d]efer or [q]uit? ');
+    if (answer === null) {
+      return { decision: 'quit', reason: null };
+    }
+    const decision = DECISIONS[answer.toLowerCase().charAt(0)];
+    if (decision === 'approved' || decision === 'rejected') {
+      const reason = await ask(lines, 'Reason: ');
+      return { decision: decision, reason: reason || null };
+    }
+    if (decision !== undefined) {
+      return { decision: decision, reason: null };
+    }
+  }
+}
+
+/**
+ * Walk through the new capabilities and let the reviewer approve, reject or defer each of them
+ * @param   {Object[]}          findings The findings of the new capabilities
+ * @param   {String}            reviewer The name of the reviewer
+ * @returns {Promise<Object[]>}          The reviews, containing the `finding`, the `decision`, the `reviewer`, the `reason` and the `date`
+ */
+async function reviewFindings(findings, reviewer) {
+  const input = readline.createInterface({ input: process.stdin, terminal: false });
+  const lines = input[Symbol.asyncIterator]();
+  const reviews = [];
+  try {
+    for (const [index, finding] of findings.entries()) {
+      console.log(`(${index + 1}/${findings.length}) ${finding.package}`);
+      const { decision, reason } = await askForDecision(lines, finding);
+      if (decision === 'quit') {
+        break;
+      }
+      reviews.push({ finding: finding, decision: decision, reviewer: reviewer, reason: reason, date: new Date().toISOString() });
+    }
+  } finally {
+    input.close();
+  }
+  return reviews;
+}
+
+/**
+ * Remove all capabilities that were not approved from a scanned policy, so that merging it into the
+ * stored policy only adds the approved capabilities
+ * @param   {Object}   policy   The scanned policy, which is modified
+ * @param   {Object[]} findings The findings of all new capabilities
+ * @param   {Object[]} reviews  The reviews
+ * @returns {Object}            The policy
+ */
+function removeUnapprovedCapabilities(policy, findings, reviews) {
+  const approved = new Set(reviews.filter((review) => review.decision === 'approved').map((review) => review.finding));
+  for (const finding of findings) {
+    if (approved.has(finding)) {
+      continue;
+    }
+    const { granularity, capabilityType } = CAPABILITY_SECTIONS[finding.kind];
+    const entry = policy[granularity][finding.package];
+    entry[capabilityType] = entry[capabilityType].filter((capability) => capability !== finding.capability);
+  }
+  return policy;
+}
+
+/**
+ * Record approvals and rejections in the `reviews` section of a policy, mapping package keys to the
+ * reviewed capabilities of each kind. Deferred capabilities are not recorded.
+ * @param   {Object}   policy  The policy, which is modified
+ * @param   {Object[]} reviews The reviews
+ * @returns {Object}           The policy
+ */
+function recordReviews(policy, reviews) {
+  // The reviews may be shared with the stored policy, which is written as a backup
+  policy.reviews = JSON.parse(JSON.stringify(policy.reviews || {}));
+  for (const review of reviews) {
+    if (review.decision === 'deferred') {
+      continue;
+    }
+    const { package: key, kind, capability } = review.finding;
+    policy.reviews[key] = policy.reviews[key] || {};
+    policy.reviews[key][kind] = policy.reviews[key][kind] || {};
+    policy.reviews[key][kind][capability] = {
+      decision: review.decision,
+      reviewer: review.reviewer,
+      reason: review.reason,
+      date: review.date
+    };
+  }
+  return policy;
+}
+
+/**
+ * Indicates whether a new capability was rejected in an earlier review
+ * @param   {Object}  policy  The stored policy
+ * @param   {Object}  finding The finding of the new capability
+ * @returns {boolean}         true if the capability was rejected, else false
+ */
+function wasRejected(policy, finding) {
+  const packageReviews = (policy.reviews || {})[finding.package] || {};
+  const review = (packageReviews[finding.kind] || {})[finding.capability];
+  return review !== undefined && review.decision === 'rejected';
+}
+
+module.exports = {
+  recordReviews: recordReviews,
+  removeUnapprovedCapabilities: removeUnapprovedCapabilities,
+  reviewFindings: reviewFindings,
+  wasRejected: wasRejected
+};
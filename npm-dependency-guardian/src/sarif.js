@@ -0,0 +1,137 @@
+"use strict";
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const { version } = require('../package.json');
+const { categoryInfo, categoryNames } = require('./categories.js');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_VERSION = '2.1.0';
+
+// The base URI that file locations are relative to: the root directory of the scanned project
+const PROJECT_ROOT = 'PROJECTROOT';
+
+// Maps severities to SARIF result levels
+const SARIF_LEVELS = {
+  low: 'note',
+  medium: 'warning',
+  high: 'error',
+  critical: 'error'
+};
+
+// Maps severities to the numeric `security-severity` used by code scanning dashboards to rank alerts
+const SECURITY_SEVERITIES = {
+  low: '2.0',
+  medium: '5.0',
+  high: '7.5',
+  critical: '9.5'
+};
+
+/**
+ * Create a SARIF location from a recorded source location
+ * @param   {Object} location The source location, with the file relative to the project root
+ * @returns {Object}          The SARIF location
+ */
+function sarifLocation(location) {
+  return {
+    physicalLocation: {
+      artifactLocation: { uri: location.file.split('\\').join('/'), uriBaseId: PROJECT_ROOT },
+      region: {
+        startLine: location.line,
+        startColumn: location.column,
+        snippet: { text: location.snippet }
+      }
+    }
+  };
+}
+
+/**
+ * Get the id of the rule reporting new capabilities of a category
+ * @param   {String} category The category, one of the keys of CATEGORIES
+ * @returns {String}          The rule id, e.g. `new-processExecution`
+ */
+function ruleId(category) {
+  return `new-${category}`;
+}
+
+/**
+ * Create the SARIF rule reporting new capabilities of a category, whose default level is derived
+ * from the severity of the category
+ * @param   {String} category The category, one of the keys of CATEGORIES
+ * @returns {Object}          The SARIF rule
+ */
+function sarifRule(category) {
+  const { severity } = categoryInfo(category);
+  return {
+    id: ruleId(category),
+    name: `New${category[0].toUpperCase()}${category.slice(1)}Capability`,
+    shortDescription: { text: `A dependency uses a capability of the ${category} category that it did not use before.` },
+    defaultConfiguration: { level: SARIF_LEVELS[severity] },
+    properties: {
+      tags: ['security', 'supply-chain'],
+      'security-severity': SECURITY_SEVERITIES[severity]
+    }
+  };
+}
+
+/**
+ * Create a SARIF result from a finding of a policy diff
+ * @param   {Object} finding   The finding of a newly added capability
+ * @param   {number} ruleIndex The index of the rule of the finding within the rules of the run
+ * @returns {Object}           The SARIF result
+ */
+function sarifResult(finding, ruleIndex) {
+  return {
+    ruleId: ruleId(finding.category),
+    ruleIndex: ruleIndex,
+    level: SARIF_LEVELS[finding.severity],
+    message: { text: finding.message },
+    locations: (finding.evidence || []).map(sarifLocation),
+    properties: {
+      package: finding.package,
+      kind: finding.kind,
+      capability: finding.capability,
+      category: finding.category,
+      severity: finding.severity,
+      'security-severity': SECURITY_SEVERITIES[finding.severity]
+    }
+  };
+}
+
+/**
+ * Create a SARIF 2.1.0 log from the findings of a policy diff. Each newly added capability becomes a
+ * result of the rule of its category, located at the recorded source locations (see `--evidence`).
+ * @param   {Object[]} findings The findings of a policy diff
+ * @param   {String}   rootPath Path to the root directory of the scanned project, which the source locations are relative to
+ * @returns {Object}            The SARIF log
+ */
+function createSarifLog(findings, rootPath) {
+  const categories = categoryNames();
+  const results = findings
+    .filter((finding) => finding.change === 'capabilityAdded')
+    .map((finding) => sarifResult(finding, categories.indexOf(finding.category)));
+  // The URI of a directory has to end with a slash to resolve the relative locations against it
+  const rootURI = pathToFileURL(path.resolve(rootPath)).href.replace(/\/?$/, '/');
+  return {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [{
+      tool: {
+        driver: {
+          name: 'npm-dependency-guardian',
+          version: version,
+          rules: categories.map(sarifRule)
+        }
+      },
+      originalUriBaseIds: {
+        [PROJECT_ROOT]: { uri: rootURI }
+      },
+      results: results
+    }]
+  };
+}
+
+module.exports = {
+  createSarifLog: createSarifLog
+};
@@ -0,0 +1,34 @@
+"use strict";
+
+const { capabilityCategory, categoryInfo } = require('./categories.js');
+
+/**
+ * Severity levels of newly detected capabilities, in ascending order
+ */
+const SEVERITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * Get the severity of a newly detected capability, which is the severity of its category
+ * @param   {String} kind       The kind of the capability: `module`, `global`, `moduleMember`, `globalMember`, `dynamicCode` or `environmentVariable`
+ * @param   {String} capability The capability, e.g. `child_process` or `process.env`
+ * @returns {String}            The severity, one of SEVERITY_LEVELS
+ */
+function capabilitySeverity(kind, capability) {
+  return categoryInfo(capabilityCategory(kind, capability)).severity;
+}
+
+/**
+ * Indicates whether a severity reaches a given threshold
+ * @param   {String}  severity  The severity to check
+ * @param   {String}  threshold The minimum severity
+ * @returns {boolean}           true if the severity is at least as high as the threshold, else false
+ */
+function severityAtLeast(severity, threshold) {
+  return SEVERITY_LEVELS.indexOf(severity) >= SEVERITY_LEVELS.indexOf(threshold);
+}
+
+module.exports = {
+  SEVERITY_LEVELS: SEVERITY_LEVELS,
+  capabilitySeverity: capabilitySeverity,
+  severityAtLeast: severityAtLeast
+};
@@ -0,0 +1,110 @@
+"use strict";
+
+// The policies and findings of the analyzer's commands, run on a project like from the command line
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { after, before, test } = require('node:test');
+const { createProject, removeProject, runAnalyzer, runEnforced } = require('./helpers.js');
+
+let rootPath;
+let policyPath;
+
+/**
+ * Replace the source code of the main file of the dependency `dep`
+ * @param {String} code The new source code
+ */
+function changeDependency(code) {
+  fs.writeFileSync(path.join(rootPath, 'node_modules', 'dep', 'index.js'), code);
+}
+
+/**
+ * Run the `check` command against the stored policy
+ * @returns {Object} The findings of the check, and its `exitCode`
+ */
+function check() {
+  const { status, stdout, stderr } = runAnalyzer(['check', rootPath, '--json', '--policy-path', policyPath]);
+  assert.notStrictEqual(stdout, '', stderr);
+  const output = JSON.parse(stdout);
+  assert.strictEqual(output.exitCode, status);
+  return output;
+}
+
+/**
+ * Get the modules that `check` finds to be newly imported by the dependency
+ * @param   {Object[]} findings The findings of `check`
+ * @returns {String[]}          The names of the modules, sorted
+ */
+function addedModules(findings) {
+  return findings
+    .filter((finding) => finding.package === 'dep@1.0.0' && finding.kind === 'module' && finding.change === 'capabilityAdded')
+    .map((finding) => finding.capability)
+    .sort();
+}
+
+before(() => {
+  rootPath = createProject("require('dep');", { dep: { 'index.js': 'module.exports = 1;' } });
+  policyPath = path.join(rootPath, 'policy.json');
+  const { status, stderr } = runAnalyzer([rootPath, '--overwrite', '--no-backup', '--policy-path', policyPath]);
+  assert.strictEqual(status, 0, stderr);
+});
+
+after(() => removeProject(rootPath));
+
+test('check finds built-in modules loaded with the node: scheme', () => {
+  changeDependency("require('node:child_process').execSync('id'); import('node:os');");
+  const { exitCode, findings } = check();
+  assert.strictEqual(exitCode, 1);
+  assert.deepStrictEqual(addedModules(findings), ['child_process', 'os']);
+});
+
+test('check finds modules loaded through an alias of require', () => {
+  changeDependency("const load = require; load('child_process');");
+  assert.deepStrictEqual(addedModules(check().findings), ['child_process']);
+});
+
+test('check finds require passed on as a value as an unresolved require', () => {
+  changeDependency("let load = require; load(process.argv[2]); module.exports = { load: require };");
+  assert.deepStrictEqual(addedModules(check().findings), ['<unresolved require>']);
+});
+
+test('the policy lists members of built-in modules loaded with the node: scheme', () => {
+  changeDependency("const { execSync } = require('node:child_process'); require('node:fs').readFileSync('x');");
+  const { stdout, stderr } = runAnalyzer([rootPath, '--json', '--member-access-tracing', '--policy-path', policyPath]);
+  assert.notStrictEqual(stdout, '', stderr);
+  const policy = JSON.parse(stdout);
+  assert.deepStrictEqual(policy.policyCoarse['dep@1.0.0'].modules.sort(), ['child_process', 'fs']);
+  assert.deepStrictEqual(policy.policyFine['dep@1.0.0'].modules.sort(), ['child_process.execSync', 'fs.readFileSync']);
+});
+
+test('ingest adds a recorded version of a package without dropping the stored one', () => {
+  const projectPath = createProject("require('dep').run();", {
+    dep: { 'index.js': "exports.run = function () { return require('path').sep; };" }
+  });
+  try {
+    // Not policy.json, which `runEnforced` writes
+    const storedPolicyPath = path.join(projectPath, 'stored-policy.json');
+    assert.strictEqual(runAnalyzer([projectPath, '--overwrite', '--no-backup', '--policy-path', storedPolicyPath]).status, 0);
+    // Update dep to 2.0.0, which also uses os
+    const depPath = path.join(projectPath, 'node_modules', 'dep');
+    fs.writeFileSync(path.join(depPath, 'package.json'), JSON.stringify({ name: 'dep', version: '2.0.0', main: 'index.js' }));
+    fs.writeFileSync(path.join(depPath, 'index.js'), "exports.run = function () {\n  return require('path').sep + require('os').EOL;\n};");
+    const recordingPath = path.join(projectPath, 'recording.jsonl');
+    const run = runEnforced(projectPath, {}, { GUARDIAN_MODE: 'record', GUARDIAN_RECORDING_PATH: recordingPath });
+    assert.strictEqual(run.status, 0, run.stderr);
+
+    const { status, stdout, stderr } = runAnalyzer(['ingest', recordingPath, '--no-backup', '--policy-path', storedPolicyPath]);
+    assert.strictEqual(status, 0, stderr);
+    const policy = JSON.parse(fs.readFileSync(storedPolicyPath, 'utf8'));
+    assert.deepStrictEqual(policy.policyCoarse['dep@1.0.0'].modules, ['path']);
+    assert.deepStrictEqual(policy.policyCoarse['dep@2.0.0'].modules, ['os', 'path']);
+    assert.match(stdout, /Merge added module os to dep@2\.0\.0/);
+    assert.doesNotMatch(stdout, /dropped package dep@1\.0\.0/);
+    // The evidence of the recorded use is relative to the project, at the column of the call
+    const location = `${path.join('node_modules', 'dep', 'index.js')}:2:32  return require('path').sep + require('os').EOL;`;
+    assert.ok(stdout.includes(`at ${location}`), stdout);
+  } finally {
+    removeProject(projectPath);
+  }
+});
@@ -0,0 +1,44 @@
+"use strict";
+
+// The environment variables that the analyzer records for reads from `process.env`, through the global
+// `process` object and through the `process` module
+
+const acorn = require('acorn');
+const assert = require('assert');
+const { test } = require('node:test');
+const { extractGlobals } = require('../src/extractGlobals.js');
+
+/**
+ * Get the environment variables that a piece of code reads
+ * @param   {String}   code       The code
+ * @param   {String}   sourceType `script` for CommonJS code, or `module` for ES modules
+ * @returns {String[]}            The names of the variables, sorted
+ */
+function environmentOf(code, sourceType = 'script') {
+  const ast = acorn.parse(code, { ecmaVersion: 'latest', sourceType: sourceType });
+  return [...extractGlobals(ast).environment].sort();
+}
+
+test('reads through the global process object are recorded', () => {
+  assert.deepStrictEqual(environmentOf('process.env.HOME; globalThis.process.env.USER'), ['HOME', 'USER']);
+  assert.deepStrictEqual(environmentOf('const { env: { TOKEN } } = process'), ['TOKEN']);
+});
+
+test('reads through the process module are recorded', () => {
+  assert.deepStrictEqual(environmentOf("require('process').env.SECRET"), ['SECRET']);
+  assert.deepStrictEqual(environmentOf("const { env: { TOKEN } } = require('node:process')"), ['TOKEN']);
+  assert.deepStrictEqual(environmentOf("const p = require('process'); const { HOME } = p.env; p.env[name]"), ['*', 'HOME']);
+  assert.deepStrictEqual(environmentOf("import process from 'process'; process.env.A", 'module'), ['A']);
+  assert.deepStrictEqual(environmentOf("import * as p from 'node:process'; p.env.B", 'module'), ['B']);
+});
+
+test('env bound to a variable from the process module may read every variable', () => {
+  assert.deepStrictEqual(environmentOf("const { env } = require('node:process'); env.SECRET"), ['*']);
+  assert.deepStrictEqual(environmentOf("import { env } from 'process'; env.SECRET", 'module'), ['*']);
+  assert.deepStrictEqual(environmentOf("import { argv } from 'node:process'", 'module'), []);
+});
+
+test('env of other objects is not recorded', () => {
+  assert.deepStrictEqual(environmentOf("const fs = require('fs'); fs.env.NOPE; require('os').env"), []);
+  assert.deepStrictEqual(environmentOf('function f(process) { return process.env.NOPE; }'), []);
+});
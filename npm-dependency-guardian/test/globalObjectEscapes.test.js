@@ -0,0 +1,175 @@
+"use strict";
+
+// Attempts of a package that may execute dynamic code, but not access `process`, to reach the real
+// global object or `process` through dynamic code, sloppy mode `this` or the constructors of functions
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { after, before, test } = require('node:test');
+const { createProject, generatePolicy, removeProject, runEnforced } = require('./helpers.js');
+
+const MAIN = `
+const escaping = require('escaping');
+Promise.all([escaping.attempts(), escaping.works()]).then(([attempts, works]) => {
+  console.log('RESULT ' + JSON.stringify({ attempts: attempts, works: works }));
+});
+`;
+
+// Run with the loader hooks of enforce.mjs, which rewrite the global object accesses of ES modules
+const MAIN_ESM = `
+import escaping from 'escaping';
+const [attempts, environment] = await Promise.all([escaping.dataURLAttempts(), escaping.dataURLEnvironment()]);
+console.log('RESULT ' + JSON.stringify({ attempts: attempts, environment: environment }));
+`;
+
+// Each attempt is recorded as 'escaped' if it got the real global object or the real process,
+// and as 'blocked' otherwise. Attempts that get a function have it called.
+const ESCAPING = `
+const attempts = {
+  "Function('return this')()": () => Function('return this')(),
+  "new Function('return this')()": () => new Function('return this')(),
+  "Function('return process')()": () => Function('return process')(),
+  "({}).constructor.constructor('return this')()": () => ({}).constructor.constructor('return this')(),
+  "({}).constructor.constructor('return process')()": () => ({}).constructor.constructor('return process')(),
+  "(() => {}).constructor('return process')()": () => (() => {}).constructor('return process')(),
+  "(0, eval)('this')": () => (0, eval)('this'),
+  "(0, eval)('process')": () => (0, eval)('process'),
+  "eval('(function () { return this; })()')": () => eval('(function () { return this; })()'),
+  "eval('Function(\\"return process\\")()')": () => eval('Function("return process")()'),
+  "sloppy this": () => (function () { return this; })(),
+  "sloppy this with call(undefined)": () => (function () { return this; }).call(undefined),
+  "arrow function in a sloppy function": function () { return (() => this)(); }.bind(undefined),
+  "Object.getPrototypeOf(function* () {}).constructor": () => Object.getPrototypeOf(function* () {}).constructor('yield process')().next().value,
+  "Object.getPrototypeOf(async () => {}).constructor": () => Object.getPrototypeOf(async () => {}).constructor('return process'),
+  "Object.getPrototypeOf(Object.getPrototypeOf(async () => {})).constructor": () => Object.getPrototypeOf(Object.getPrototypeOf(async () => {})).constructor('return this')()
+};
+const importDataURL = (source) => import('data:text/javascript,' + encodeURIComponent(source)).then((namespace) => namespace.default);
+const dataURLAttempts = {
+  "import('data:...export default globalThis')": () => importDataURL('export default globalThis'),
+  "import('data:...export default process')": () => importDataURL('export default process'),
+  "import('data:...export default globalThis.process')": () => importDataURL('export default globalThis.process')
+};
+function isReal(value) {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+  const isGlobalObject = 'process' in value && !('__guardianThis' in value);
+  // The dummy of a denied \`process\` keeps its primitive members, e.g. \`pid\`, but none of its functions work
+  const isProcess = typeof value.cwd === 'function' && typeof value.cwd() === 'string';
+  return isGlobalObject || isProcess;
+}
+async function runAttempts(attempts) {
+  const results = {};
+  for (const [name, attempt] of Object.entries(attempts)) {
+    let value;
+    try {
+      value = await attempt();
+      if (typeof value === 'function') {
+        value = await value();
+      }
+    } catch (error) {
+      value = undefined;
+    }
+    results[name] = isReal(value) ? 'escaped' : 'blocked';
+  }
+  return results;
+}
+exports.attempts = () => runAttempts(attempts);
+exports.dataURLAttempts = () => runAttempts(dataURLAttempts);
+exports.dataURLEnvironment = () => importDataURL('export default process.env.HOME');
+// Dynamic code and sloppy mode functions that don't try to escape behave as usual
+exports.works = async function () {
+  const object = { value: 7, get() { return this.value; } };
+  return [
+    Function('a', 'b', 'return a + b')(1, 2),
+    (() => {}).constructor('a', 'return a * 2')(4),
+    await Object.getPrototypeOf(async () => {}).constructor('return 5')(),
+    Object.getPrototypeOf(function* () {}).constructor('yield 6')().next().value,
+    object.get(),
+    eval('var x = 8; x'),
+    (0, eval)('typeof Object.keys'),
+    new Function('return this')() === globalThis,
+    (function () { return this; })() === globalThis,
+    Function('return 1') instanceof Function
+  ];
+};
+`;
+
+const ATTEMPTS = [
+  "Function('return this')()",
+  "new Function('return this')()",
+  "Function('return process')()",
+  "({}).constructor.constructor('return this')()",
+  "({}).constructor.constructor('return process')()",
+  "(() => {}).constructor('return process')()",
+  "(0, eval)('this')",
+  "(0, eval)('process')",
+  "eval('(function () { return this; })()')",
+  "eval('Function(\"return process\")()')",
+  'sloppy this',
+  'sloppy this with call(undefined)',
+  'arrow function in a sloppy function',
+  'Object.getPrototypeOf(function* () {}).constructor',
+  'Object.getPrototypeOf(async () => {}).constructor',
+  'Object.getPrototypeOf(Object.getPrototypeOf(async () => {})).constructor'
+];
+
+const DATA_URL_ATTEMPTS = [
+  "import('data:...export default globalThis')",
+  "import('data:...export default process')",
+  "import('data:...export default globalThis.process')"
+];
+
+let rootPath;
+let run;
+let esmRun;
+
+before(() => {
+  rootPath = createProject(MAIN, { escaping: { 'index.js': ESCAPING } });
+  const policy = generatePolicy(rootPath);
+  const entry = policy.policyCoarse['escaping@1.0.0'];
+  entry.globals = entry.globals.filter((name) => name !== 'process' && name !== 'globalThis');
+  assert.deepStrictEqual([...entry.dynamicCode].sort(), ['Function', 'eval']);
+  run = runEnforced(rootPath, policy);
+  fs.writeFileSync(path.join(rootPath, 'main.mjs'), MAIN_ESM);
+  esmRun = runEnforced(rootPath, policy, {}, 'main.mjs');
+});
+
+after(() => removeProject(rootPath));
+
+test('every attempt is recorded', () => {
+  assert.notStrictEqual(run.result, null, run.stderr);
+  assert.deepStrictEqual(Object.keys(run.result.attempts).sort(), [...ATTEMPTS].sort());
+});
+
+for (const name of ATTEMPTS) {
+  test(`${name} does not reach the real global object`, () => {
+    assert.notStrictEqual(run.result, null, run.stderr);
+    assert.strictEqual(run.result.attempts[name], 'blocked');
+  });
+}
+
+for (const name of DATA_URL_ATTEMPTS) {
+  test(`${name} does not reach the real global object`, () => {
+    assert.notStrictEqual(esmRun.result, null, esmRun.stderr);
+    assert.strictEqual(esmRun.result.attempts[name], 'blocked');
+  });
+}
+
+test('an ES module imported from a data: URL does not read the real environment', () => {
+  assert.notStrictEqual(esmRun.result, null, esmRun.stderr);
+  assert.ok(process.env.HOME !== undefined);
+  assert.notStrictEqual(esmRun.result.environment, process.env.HOME);
+});
+
+test('dynamic code and sloppy mode functions still work', () => {
+  assert.notStrictEqual(run.result, null, run.stderr);
+  assert.deepStrictEqual(run.result.works, [3, 8, 5, 6, 7, 8, 'function', true, true, true]);
+});
+
+test('the attempts to get process are logged as violations', () => {
+  const violations = run.violations.filter((violation) => violation.kind === 'globals' && violation.capability === 'process');
+  assert.ok(violations.length > 0);
+  assert.ok(violations.every((violation) => violation.package === 'escaping@1.0.0'));
+});
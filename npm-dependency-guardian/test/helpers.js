@@ -0,0 +1,119 @@
+"use strict";
+
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MAIN_PATH = path.join(__dirname, '..', 'src', 'main.js');
+const ENFORCE_PATH = path.join(__dirname, '..', 'src', 'enforce.js');
+const ENFORCE_ESM_PATH = path.join(__dirname, '..', 'src', 'enforce.mjs');
+
+// Prefix of the line in which a fixture application prints its result as JSON
+const RESULT_PREFIX = 'RESULT ';
+
+/**
+ * Create a project in a temporary directory: an application `app@1.0.0` with the given main file,
+ * and the given dependencies in `node_modules`, all of version 1.0.0
+ * @param   {String} main         The source code of the main file of the application
+ * @param   {Object} dependencies Object mapping package names to objects that map the paths of their files to their source code. Each package's main file is `index.js`, unless its `package.json` is given.
+ * @param   {String} mainFile     The name of the main file, e.g. `main.mjs` for an ES module
+ * @returns {String}              Path to the root directory of the project
+ */
+function createProject(main, dependencies, mainFile = 'main.js') {
+  const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'guardian-test-'));
+  const names = Object.keys(dependencies);
+  const lockfile = { name: 'app', version: '1.0.0', lockfileVersion: 3, packages: { '': { name: 'app', version: '1.0.0' } } };
+  const writeFile = (filePath, content) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  };
+  writeFile(path.join(rootPath, 'package.json'), JSON.stringify({ name: 'app', version: '1.0.0', main: mainFile }));
+  writeFile(path.join(rootPath, mainFile), main);
+  for (const name of names) {
+    const packagePath = path.join(rootPath, 'node_modules', name);
+    writeFile(path.join(packagePath, 'package.json'), JSON.stringify({ name: name, version: '1.0.0', main: 'index.js' }));
+    for (const [file, content] of Object.entries(dependencies[name])) {
+      writeFile(path.join(packagePath, file), content);
+    }
+    lockfile.packages[`node_modules/${name}`] = { version: '1.0.0' };
+  }
+  lockfile.packages[''].dependencies = Object.fromEntries(names.map((name) => [name, '1.0.0']));
+  writeFile(path.join(rootPath, 'package-lock.json'), JSON.stringify(lockfile));
+  return rootPath;
+}
+
+/**
+ * Remove a project created by `createProject`
+ * @param {String} rootPath Path to the root directory of the project
+ */
+function removeProject(rootPath) {
+  fs.rmSync(rootPath, { recursive: true, force: true });
+}
+
+/**
+ * Generate the policy of a project with the analyzer
+ * @param   {String}  rootPath            Path to the root directory of the project
+ * @param   {boolean} memberAccessTracing true, if the policy should list the accessed members
+ * @returns {Object}                      The policy
+ */
+function generatePolicy(rootPath, memberAccessTracing = false) {
+  const args = [MAIN_PATH, rootPath, '--json', '--no-backup', '--policy-path', path.join(rootPath, 'stored-policy.json')];
+  if (memberAccessTracing) {
+    args.push('--member-access-tracing');
+  }
+  const output = childProcess.execFileSync(process.execPath, args, { encoding: 'utf8' });
+  return JSON.parse(output);
+}
+
+/**
+ * Run the analyzer with the given command line arguments
+ * @param   {String[]} args The arguments, e.g. `['check', rootPath, '--json']`
+ * @returns {Object}        The `status`, `stdout` and `stderr` of the process
+ */
+function runAnalyzer(args) {
+  const { status, stdout, stderr } = childProcess.spawnSync(process.execPath, [MAIN_PATH, ...args], { encoding: 'utf8', timeout: 60000 });
+  return { status: status, stdout: stdout, stderr: stderr };
+}
+
+/**
+ * Run the main file of a project with the enforcement module, and collect the result it prints. ES
+ * modules are run with the loader hooks of `enforce.mjs`.
+ * @param   {String} rootPath Path to the root directory of the project
+ * @param   {Object} policy   The policy to enforce
+ * @param   {Object} env      Additional environment variables, e.g. `GUARDIAN_MODE`
+ * @param   {String} mainFile The name of the main file, see `createProject`
+ * @returns {Object}          The `result` printed by the application (null if it printed none), the `violations` logged by the runtime, and the `status`, `stdout` and `stderr` of the process
+ */
+function runEnforced(rootPath, policy, env = {}, mainFile = 'main.js') {
+  const policyPath = path.join(rootPath, 'policy.json');
+  const violationLogPath = path.join(rootPath, 'violations.jsonl');
+  fs.writeFileSync(policyPath, JSON.stringify(policy));
+  fs.rmSync(violationLogPath, { force: true });
+  const args = mainFile.endsWith('.mjs') ? ['--import', ENFORCE_ESM_PATH, mainFile] : ['--require', ENFORCE_PATH, mainFile];
+  const { status, stdout, stderr } = childProcess.spawnSync(process.execPath, args, {
+    cwd: rootPath,
+    encoding: 'utf8',
+    timeout: 30000,
+    env: Object.assign({}, process.env, { GUARDIAN_POLICY_PATH: policyPath, GUARDIAN_VIOLATION_LOG: violationLogPath }, env)
+  });
+  const resultLine = stdout.split('\n').find((line) => line.startsWith(RESULT_PREFIX));
+  const violations = fs.existsSync(violationLogPath) ?
+    fs.readFileSync(violationLogPath, 'utf8').split('\n').filter((line) => line !== '').map((line) => JSON.parse(line)) :
+    [];
+  return {
+    result: resultLine === undefined ? null : JSON.parse(resultLine.slice(RESULT_PREFIX.length)),
+    violations: violations,
+    status: status,
+    stdout: stdout,
+    stderr: stderr
+  };
+}
+
+module.exports = {
+  createProject: createProject,
+  generatePolicy: generatePolicy,
+  removeProject: removeProject,
+  runAnalyzer: runAnalyzer,
+  runEnforced: runEnforced
+};
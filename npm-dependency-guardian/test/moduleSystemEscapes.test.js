@@ -0,0 +1,117 @@
+"use strict";
+
+// Attempts of a package to load a module that its policy denies through the module system,
+// e.g. by borrowing the `require` of another package that may load it
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { after, before, test } = require('node:test');
+const { createProject, generatePolicy, removeProject, runEnforced } = require('./helpers.js');
+
+const MAIN = `
+const trusted = require('trusted');
+const escaping = require('escaping');
+console.log('RESULT ' + JSON.stringify({ trusted: trusted.run('echo trusted'), attempts: escaping.attempts }));
+`;
+
+// Run with the loader hooks of enforce.mjs, which restrict the imports of ES modules
+const MAIN_ESM = `
+import escaping from 'escaping';
+console.log('RESULT ' + JSON.stringify({ dataImport: await escaping.importFromDataURL() }));
+`;
+
+// May load child_process, and requires it lazily, so that its module is cached when the attempts run
+const TRUSTED = `
+exports.run = function (command) { return String(require('child_process').execSync(command)).trim(); };
+`;
+
+// Each attempt is recorded as 'escaped' if it ran a shell command, as 'blocked' if it threw,
+// and as 'pruned' if it got something else than child_process
+const ESCAPING = `
+const { createRequire } = require('module');
+const path = require('path');
+const trustedFile = path.join(__dirname, '..', 'trusted', 'index.js');
+const attempts = {};
+function attempt(name, getChildProcess) {
+  try {
+    const childProcess = getChildProcess();
+    attempts[name] = childProcess && typeof childProcess.execSync === 'function' &&
+      String(childProcess.execSync('echo escaped')).trim() === 'escaped' ? 'escaped' : 'pruned';
+  } catch (error) {
+    attempts[name] = 'blocked';
+  }
+}
+const trustedModule = () => require.cache[trustedFile] || Object.values(require.cache).find((m) => m.filename === trustedFile);
+attempt('module.constructor._load', () => module.constructor._load('child_process'));
+attempt('module.constructor._load with the parent of another package', () => module.constructor._load('child_process', trustedModule()));
+attempt('require.cache', () => trustedModule().require('child_process'));
+attempt('process.mainModule.require', () => process.mainModule.require('child_process'));
+attempt('require.main.require', () => require.main.require('child_process'));
+attempt('module.require', () => module.require('child_process'));
+attempt('createRequire', () => createRequire(trustedFile)('child_process'));
+attempt('require.call', () => require.call(trustedModule(), 'child_process'));
+attempt('node: scheme', () => require('node:child_process'));
+async function importFromDataURL() {
+  const source = 'import childProcess from "child_process"; export default String(childProcess.execSync("echo escaped")).trim();';
+  try {
+    const { default: output } = await import('data:text/javascript,' + encodeURIComponent(source));
+    return output === 'escaped' ? 'escaped' : 'pruned';
+  } catch (error) {
+    return 'blocked';
+  }
+}
+module.exports = { attempts: attempts, importFromDataURL: importFromDataURL };
+`;
+
+let rootPath;
+let run;
+let esmRun;
+
+before(() => {
+  rootPath = createProject(MAIN, { trusted: { 'index.js': TRUSTED }, escaping: { 'index.js': ESCAPING } });
+  const policy = generatePolicy(rootPath);
+  // The analyzer sees the literal 'child_process' in the escape attempts; the policy under test denies it
+  const modules = policy.policyCoarse['escaping@1.0.0'].modules;
+  policy.policyCoarse['escaping@1.0.0'].modules = modules.filter((name) => name !== 'child_process');
+  assert.ok(policy.policyCoarse['trusted@1.0.0'].modules.includes('child_process'));
+  run = runEnforced(rootPath, policy);
+  fs.writeFileSync(path.join(rootPath, 'main.mjs'), MAIN_ESM);
+  esmRun = runEnforced(rootPath, policy, {}, 'main.mjs');
+});
+
+after(() => removeProject(rootPath));
+
+test('the package that may load child_process still can', () => {
+  assert.notStrictEqual(run.result, null, run.stderr);
+  assert.strictEqual(run.result.trusted, 'trusted');
+});
+
+for (const name of [
+  'module.constructor._load',
+  'module.constructor._load with the parent of another package',
+  'require.cache',
+  'process.mainModule.require',
+  'require.main.require',
+  'module.require',
+  'createRequire',
+  'require.call',
+  'node: scheme'
+]) {
+  test(`${name} does not load a denied module`, () => {
+    assert.notStrictEqual(run.result, null, run.stderr);
+    assert.ok(['blocked', 'pruned'].includes(run.result.attempts[name]), `${name}: ${run.result.attempts[name]}`);
+  });
+}
+
+test('an ES module imported from a data: URL does not load a denied module', () => {
+  assert.notStrictEqual(esmRun.result, null, esmRun.stderr);
+  assert.ok(['blocked', 'pruned'].includes(esmRun.result.dataImport), esmRun.result.dataImport);
+  assert.ok(esmRun.violations.some((violation) => violation.package === 'escaping@1.0.0' && violation.capability === 'child_process'));
+});
+
+test('the blocked attempts are logged as violations of the escaping package', () => {
+  const violations = run.violations.filter((violation) => violation.capability === 'child_process');
+  assert.ok(violations.length > 0);
+  assert.ok(violations.every((violation) => violation.package === 'escaping@1.0.0'));
+});
@@ -0,0 +1,184 @@
+"use strict";
+
+// Compatibility of the restricted views through which a package uses the modules and global objects
+// of which it may only use some members, and the exact members reported when it uses others
+
+const assert = require('assert');
+const path = require('path');
+const { after, before, describe, test } = require('node:test');
+const { createProject, generatePolicy, removeProject, runEnforced } = require('./helpers.js');
+
+// The values that `live` returns are changed after the package is loaded, so that views that copied
+// them would return the old ones
+const MAIN = `
+const EventEmitter = require('events');
+const views = require('views');
+process.env.GUARDIAN_LIVE = 'changed';
+EventEmitter.defaultMaxListeners = 42;
+views.compatibility().then((compatibility) => {
+  console.log('RESULT ' + JSON.stringify({ compatibility: compatibility, live: views.live(), denied: views.denied() }));
+});
+`;
+
+const VIEWS = `
+const EventEmitter = require('events');
+const fs = require('fs');
+const { PassThrough, Readable } = require('stream');
+class Emitter extends EventEmitter {
+  constructor() {
+    super();
+    this.received = [];
+    this.on('message', (message) => this.received.push(message));
+  }
+}
+exports.compatibility = async function () {
+  const emitter = new Emitter();
+  emitter.emit('message', 'hello');
+  const passThrough = new PassThrough();
+  passThrough.end('through');
+  const chunks = [];
+  for await (const chunk of Readable.from(['a', 'b', 'c'])) {
+    chunks.push(chunk);
+  }
+  const source = await new Promise((resolve, reject) => {
+    fs.readFile(__filename, 'utf8', (error, content) => error ? reject(error) : resolve(content));
+  });
+  return {
+    subclassInstanceOf: emitter instanceof EventEmitter && emitter instanceof Emitter,
+    subclassEvents: emitter.received,
+    getter: typeof fs.promises.readFile,
+    constructed: passThrough instanceof Readable && String(passThrough.read()),
+    readableFrom: chunks,
+    readFile: source.includes('exports.compatibility')
+  };
+};
+exports.live = function () {
+  return [process.env.GUARDIAN_LIVE, EventEmitter.defaultMaxListeners];
+};
+exports.denied = function () {
+  return [typeof fs.readFileSync(__filename, 'utf8'), process.env.GUARDIAN_SECRET === 'secret'];
+};
+`;
+
+const DENIED_MEMBERS = ['fs.readFileSync', 'process.env.GUARDIAN_SECRET'];
+
+let rootPath;
+let run;
+
+before(() => {
+  rootPath = createProject(MAIN, { views: { 'index.js': VIEWS } });
+  const policy = generatePolicy(rootPath, true);
+  const coarse = policy.policyCoarse['views@1.0.0'];
+  const fine = policy.policyFine['views@1.0.0'];
+  assert.ok(DENIED_MEMBERS.every((member) => [...fine.modules, ...fine.globals].includes(member)));
+  // The package may use `fs.readFile` and `process.env.GUARDIAN_LIVE`, but not the members next to them
+  fine.modules = fine.modules.filter((member) => !DENIED_MEMBERS.includes(member));
+  fine.globals = fine.globals.filter((member) => !DENIED_MEMBERS.includes(member));
+  coarse.environment = coarse.environment.filter((name) => name !== 'GUARDIAN_SECRET');
+  run = runEnforced(rootPath, policy, { GUARDIAN_SECRET: 'secret' });
+});
+
+after(() => removeProject(rootPath));
+
+test('subclasses of a restricted class are instances of it and work', () => {
+  assert.notStrictEqual(run.result, null, run.stderr);
+  assert.strictEqual(run.result.compatibility.subclassInstanceOf, true);
+  assert.deepStrictEqual(run.result.compatibility.subclassEvents, ['hello']);
+});
+
+test('getters of a restricted module work', () => {
+  assert.notStrictEqual(run.result, null, run.stderr);
+  assert.strictEqual(run.result.compatibility.getter, 'function');
+});
+
+test('classes of a restricted module can be constructed', () => {
+  assert.notStrictEqual(run.result, null, run.stderr);
+  assert.strictEqual(run.result.compatibility.constructed, 'through');
+});
+
+test('static methods of a restricted class work', () => {
+  assert.notStrictEqual(run.result, null, run.stderr);
+  assert.deepStrictEqual(run.result.compatibility.readableFrom, ['a', 'b', 'c']);
+});
+
+test('allowed members of a restricted module work', () => {
+  assert.notStrictEqual(run.result, null, run.stderr);
+  assert.strictEqual(run.result.compatibility.readFile, true);
+});
+
+test('restricted views show the current values, not the ones when the package was loaded', () => {
+  assert.notStrictEqual(run.result, null, run.stderr);
+  assert.deepStrictEqual(run.result.live, ['changed', 42]);
+});
+
+test('denied members get dummies instead of their values', () => {
+  assert.notStrictEqual(run.result, null, run.stderr);
+  assert.deepStrictEqual(run.result.denied, ['function', false]);
+});
+
+test('the exact denied members are logged', () => {
+  const capabilities = run.violations.map((violation) => `${violation.package} ${violation.kind} ${violation.capability}`);
+  assert.deepStrictEqual([...new Set(capabilities)].sort(), [
+    'views@1.0.0 globalMembers process.env.GUARDIAN_SECRET',
+    'views@1.0.0 moduleMembers fs.readFileSync'
+  ]);
+});
+
+describe('named imports of ES modules', () => {
+  const MAIN_ESM = `
+import useFs from 'esm';
+console.log('RESULT ' + JSON.stringify(useFs()));
+`;
+
+  // Binds every export of fs, but may only use readFileSync
+  const ESM = `
+import { appendFileSync, readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+export default function () {
+  const result = { read: readFileSync(fileURLToPath(import.meta.url), 'utf8').includes('appendFileSync') };
+  try {
+    appendFileSync('/dev/null', '');
+    result.append = 'appended';
+  } catch (error) {
+    result.append = error.code;
+  }
+  return result;
+}
+`;
+
+  let esmRootPath;
+  let esmRun;
+
+  before(() => {
+    esmRootPath = createProject(MAIN_ESM, {
+      esm: {
+        'package.json': JSON.stringify({ name: 'esm', version: '1.0.0', type: 'module', main: 'index.js' }),
+        'index.js': ESM
+      }
+    }, 'main.mjs');
+    const policy = generatePolicy(esmRootPath, true);
+    const fine = policy.policyFine['esm@1.0.0'];
+    assert.ok(fine.modules.includes('fs.appendFileSync'));
+    fine.modules = fine.modules.filter((member) => member !== 'fs.appendFileSync');
+    policy.actions = [{ packages: ['esm'], action: 'throw' }];
+    esmRun = runEnforced(esmRootPath, policy, {}, 'main.mjs');
+  });
+
+  after(() => removeProject(esmRootPath));
+
+  test('a package importing members of a restricted module by name loads', () => {
+    assert.notStrictEqual(esmRun.result, null, esmRun.stderr);
+    assert.strictEqual(esmRun.result.read, true);
+  });
+
+  test('a denied member imported by name is blocked when it is used', () => {
+    assert.notStrictEqual(esmRun.result, null, esmRun.stderr);
+    assert.strictEqual(esmRun.result.append, 'ERR_GUARDIAN_CAPABILITY_DENIED');
+  });
+
+  test('only the denied member that is used is logged, with the calling file', () => {
+    assert.deepStrictEqual(esmRun.violations.map((violation) => [violation.kind, violation.capability, violation.caller]), [
+      ['moduleMembers', 'fs.appendFileSync', path.join(esmRootPath, 'node_modules', 'esm', 'index.js')]
+    ]);
+  });
+});
@@ -0,0 +1,77 @@
+"use strict";
+
+// The actions taken for violations, which must be taken when a package uses a capability, not when an
+// ES module importing built-in members by name is linked
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { after, before, test } = require('node:test');
+const { createProject, generatePolicy, removeProject, runEnforced } = require('./helpers.js');
+
+const MAIN = `
+import { allowed, denied } from 'actions';
+const result = { allowed: allowed() };
+try {
+  result.denied = denied();
+} catch (error) {
+  result.denied = error.code;
+}
+console.log('RESULT ' + JSON.stringify(result));
+`;
+
+// Imports an allowed and a denied member of fs by name, which binds every export of fs
+const ACTIONS = `
+import { existsSync, readdirSync } from 'fs';
+export function allowed() {
+  return existsSync('/');
+}
+export function denied() {
+  return readdirSync('/').length > 0;
+}
+`;
+
+let rootPath;
+let policy;
+
+before(() => {
+  rootPath = createProject(MAIN, {
+    actions: {
+      'package.json': JSON.stringify({ name: 'actions', version: '1.0.0', type: 'module', main: 'index.js' }),
+      'index.js': ACTIONS
+    }
+  }, 'main.mjs');
+  policy = generatePolicy(rootPath, true);
+  const fine = policy.policyFine['actions@1.0.0'];
+  assert.ok(fine.modules.includes('fs.readdirSync'));
+  fine.modules = fine.modules.filter((member) => member !== 'fs.readdirSync');
+});
+
+after(() => removeProject(rootPath));
+
+test('a named import of an allowed member loads under the throw action', () => {
+  const run = runEnforced(rootPath, Object.assign({}, policy, { actions: [{ packages: ['actions'], action: 'throw' }] }), {}, 'main.mjs');
+  assert.notStrictEqual(run.result, null, run.stderr);
+  assert.strictEqual(run.result.allowed, true);
+  assert.strictEqual(run.result.denied, 'ERR_GUARDIAN_CAPABILITY_DENIED');
+});
+
+test('a named import of an allowed member loads under the terminate action', () => {
+  const code = `
+import { allowed } from 'actions';
+console.log('RESULT ' + JSON.stringify({ allowed: allowed() }));
+`;
+  const terminatingPolicy = Object.assign({}, policy, { actions: [{ packages: ['actions'], action: 'terminate' }] });
+  fs.writeFileSync(path.join(rootPath, 'allowed.mjs'), code);
+  const run = runEnforced(rootPath, terminatingPolicy, {}, 'allowed.mjs');
+  assert.strictEqual(run.status, 0, run.stderr);
+  assert.deepStrictEqual(run.result, { allowed: true });
+  assert.deepStrictEqual(run.violations, []);
+});
+
+test('using the denied member terminates under the terminate action', () => {
+  const run = runEnforced(rootPath, Object.assign({}, policy, { actions: [{ packages: ['actions'], action: 'terminate' }] }), {}, 'main.mjs');
+  assert.strictEqual(run.status, 1);
+  assert.strictEqual(run.result, null);
+  assert.match(run.stderr, /package actions@1\.0\.0 is not allowed to use fs\.readdirSync/);
+});